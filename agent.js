@@ -3,77 +3,227 @@
 
 const CONFIG = require('./config');
 const { createAgentContext, addError, updateState, evaluateGoals } = require('./context');
-const { selectStrategy, adaptSearchBasedOnResults } = require('./strategies');
+const {
+  selectStrategy,
+  selectCorroboratingStrategies,
+  buildReflectionInput,
+  buildFallbackPlan,
+  normalizeSearchPlan,
+  buildPlannedQuery
+} = require('./strategies');
 const { delay } = require('./utils');
-const { hasCachedData, loadCachedData, saveCacheData } = require('./cache');
-const { calculatePPPAdjustedCosts, calculateRemoteWorkScore } = require('./scoring');
-const { fetchWithBrightDataProxy, buildPerceptionFromSearchData } = require('./search');
-const { extractCostData, generateRemoteWorkSummary } = require('./ai');
+const { isStrategyMemoryEnabled, recordAgentMemory, getAttemptStrategy } = require('./memory');
+const { loadCachedSearch, saveCachedSearch } = require('./cache');
+const { loadSerpFixture, recordSerpFixture } = require('./fixtures');
+const { getPPPFactor, calculatePPPAdjustedCosts, calculateRemoteWorkScore } = require('./scoring');
+const { fetchSearchResults, buildPerceptionFromSearchData } = require('./search');
+const { gatherPageEvidence } = require('./pages');
+const { extractStructuredCost } = require('./parsers');
+const { applyCurrencyConversion } = require('./currency');
+const {
+  getCostCategories,
+  findCategoryResult,
+  applyHouseholdQuantity,
+  getHouseholdAmount,
+  applyLocationTiers
+} = require('./categories');
+const { applyValueRange, getHouseholdRange } = require('./ranges');
+const { triangulateCandidates } = require('./triangulation');
+const { assessCitedSource, getSourceConfidenceFactor, getContributingDomains, mergeSourceDomains } = require('./sources');
+const { applyFreshness } = require('./freshness');
+const { getPriceLevelRatio, checkPlausibleRange, checkCategoryRatios, buildCorrectionPrompt } = require('./validation');
+const { describeModel, extractCostData, generateRemoteWorkSummary, planSearchAdaptations } = require('./ai');
+
+// Get raw SERP data for one city + category + query: from a replay fixture, the cache, or a live search through the configured provider.
+// Returns the data plus where it came from; in --record mode whatever was used is also written to the fixture set.
+async function gatherSearchData(cityObj, category, searchQuery) {
+  let searchData;
+  let source;
+
+  if (CONFIG.replayDir) {
+    searchData = loadSerpFixture(CONFIG.replayDir, searchQuery);
+    source = 'replay_fixture';
+  } else {
+    searchData = loadCachedSearch(cityObj, category.name, searchQuery, CONFIG.searchProvider, CONFIG.cacheDir);
+    source = 'cached_data';
+
+    if (!searchData) {
+      searchData = await fetchSearchResults(searchQuery, CONFIG);
+      source = 'fresh_serp_call';
+      saveCachedSearch(cityObj, category.name, searchQuery, CONFIG.searchProvider, searchData, CONFIG.cacheDir, CONFIG.cacheExpiryDays);
+    }
+  }
+
+  if (CONFIG.recordDir) {
+    recordSerpFixture(CONFIG.recordDir, searchQuery, searchData);
+  }
+
+  return { searchData, source };
+}
+
+// Search one category with one strategy's query and build its perception (plus page evidence when page fetching is on).
+// querySource: 'strategy' when searchQuery is the strategy's own, 'reflection_plan' when the reflection plan wrote it
+async function searchCategory(context, cityObj, category, strategy, searchQuery, querySource = 'strategy') {
+  // Replay fixture or cache hit for this exact city + category + query,
+  // otherwise execute the search query with the configured search provider and cache the raw response
+  const { searchData: rawSearchData, source: dataSource } = await gatherSearchData(cityObj, category, searchQuery);
+  // Based on that collected SERP data, build a perception of the category
+  const categoryPerception = buildPerceptionFromSearchData(rawSearchData, context.city, category.name, CONFIG.maxResults, CONFIG, new Date(context.reference_date));
+  // Metadata. Apply strategy confidence modifier
+  categoryPerception.metadata.confidence_modifier = strategy.confidence_modifier;
+  categoryPerception.metadata.strategy_used = strategy.name;
+  categoryPerception.metadata.search_query = searchQuery;
+  categoryPerception.metadata.query_source = querySource;
+  categoryPerception.metadata.data_source = dataSource;
+
+  // (optional) Page-fetching perception. Pull the price tables from trusted result pages
+  // so the LLM sees more than titles and snippets
+  if (CONFIG.pageFetch.enabled) {
+    const { evidence, failures } = await gatherPageEvidence(categoryPerception, category, CONFIG);
+    categoryPerception.sources.page_evidence = evidence;
+    categoryPerception.metadata.pages_fetched = evidence.length;
+    failures.forEach(failure => {
+      addError(context, 'perception', `Page fetch failed for ${failure.url}: ${failure.message}`, category.name);
+    });
+  }
+
+  if (dataSource === 'fresh_serp_call') {
+    await delay(CONFIG.delayBetweenRequests);
+  }
+
+  return categoryPerception;
+}
+
+// Multi-source triangulation: search the same category with a few more strategies, so reasoning
+// has several candidate values to reconcile. A failed corroborating search is logged and skipped.
+async function gatherCandidateSearches(context, cityObj, category, primaryStrategy, primaryQuery) {
+  const candidateSearches = [];
+
+  for (const strategy of selectCorroboratingStrategies(context, category, primaryStrategy, CONFIG.triangulation)) {
+    const searchQuery = strategy.buildQuery(context.city, context.country, category);
+    if (searchQuery === primaryQuery) {
+      continue;
+    }
+    try {
+      candidateSearches.push(await searchCategory(context, cityObj, category, strategy, searchQuery));
+    } catch (error) {
+      addError(context, 'perception', `Corroborating search (${strategy.name}) failed: ${error.message}`, category.name);
+    }
+  }
+
+  return candidateSearches;
+}
+
+// Which categories an iteration works on: all of them on the first pass, after that only the weak ones
+// (best result so far missing or below confidenceThreshold) that the reflection plan doesn't leave alone.
+// Everything else carries its searches and best result over from earlier iterations.
+function selectCategoriesToProcess(context, categories, plan) {
+  const previousResults = context.reasoning?.cost_analysis?.cost_categories;
+  if (!previousResults) {
+    return categories;
+  }
+
+  return categories.filter(category => {
+    const result = findCategoryResult(previousResults, category);
+    const weak = !result || !result.usd_amount || result.confidence < CONFIG.confidenceThreshold;
+    return weak && plan?.categories[category.name]?.action !== 'keep';
+  });
+}
+
+// A new result replaces the best one so far only when it's better: it has a value where the old one didn't,
+// or (both with values, or both without) higher confidence
+function isBetterResult(result, best) {
+  if (!best) {
+    return true;
+  }
+  if (Boolean(result.usd_amount) !== Boolean(best.usd_amount)) {
+    return Boolean(result.usd_amount);
+  }
+  return result.confidence > best.confidence;
+}
 
 // PERCEPTION - Adaptive data gathering
 async function perceive(context) {
   try {
-    // Check cache first
-    if (hasCachedData({ name: context.city, country: context.country }, CONFIG.cacheDir, CONFIG.cacheExpiryDays)) {
-      const cachedPerception = loadCachedData({ name: context.city, country: context.country }, CONFIG.cacheDir);
-      if (cachedPerception) {
-        cachedPerception.metadata.data_source = 'cached_data';
-        context.perception = cachedPerception;
-        return context;
-      }
-    }
+    const cityObj = { name: context.city, country: context.country };
+    // Last iteration's searches: carried over for the categories this iteration doesn't touch
+    const previousSearches = context.perception?.category_searches || {};
 
     const categorySearchResults = {};
     let totalOrganicResults = 0;
     let totalQualityScore = 0;
     let successfulCategories = 0;
+    let freshCategories = 0;
+    const categories = getCostCategories();
+    // Later iterations only re-search the weak categories; reason() works on the same set
+    const activeCategories = selectCategoriesToProcess(context, categories, context.state.current_plan);
+    context.state.active_categories = activeCategories.map(category => category.name);
 
     // Process each category with adaptive strategy selection
-    for (const category of CONFIG.costCategories) {
+    for (const category of categories) {
+      // Not retried this iteration: keep its searches from the iteration that produced its result
+      if (!activeCategories.includes(category)) {
+        const categoryPerception = previousSearches[category.name];
+        if (categoryPerception) {
+          categorySearchResults[category.name] = categoryPerception;
+          totalOrganicResults += categoryPerception.metadata.organic_results_count;
+          totalQualityScore += categoryPerception.metadata.data_quality_score;
+          successfulCategories++;
+        }
+        continue;
+      }
+
+      // The reflection plan for this category, from the previous iteration (none on the first pass)
+      const planEntry = context.state.current_plan?.categories[category.name];
+      // Whether this search runs the strategy's own query or one the plan wrote
+      const querySource = planEntry?.action === 'retry' && planEntry.query ? 'reflection_plan' : 'strategy';
       try {
         // STEP 1: Strategy-Level Learning (Strategy Selection) -- Modifies the source we use to search 
         // i.e. changes WHERE/WHICH SOURCE to search
-        // Select strategy based on context (rent, groceries, internet, etc) and memory
-        const strategy = selectStrategy(context, category);
+        // Select strategy based on context (rent, groceries, internet, etc) and memory.
+        // A retry the plan didn't write a query for moves on from last iteration's strategy
+        const movingOn = planEntry?.action === 'retry' && !planEntry.query && previousSearches[category.name];
+        const strategy = selectStrategy(context, category, movingOn ? [previousSearches[category.name].metadata.strategy_used] : []);
         // Based on that, build a google query string for this city + country + category combination
         let searchQuery = strategy.buildQuery(context.city, context.country, category);
 
-        // STEP 2: Query-Level Learning (Adaptations) -- Modifies queries 
-        // i.e. HOW we search within the chosen source
-        // Apply adaptations to modify the query based on reflect phase suggestions
-        if (context.state.current_adaptations?.includes('expand_search_terms')) {
-          // Make search broader with additional terms
-          // TODO: use LLM call for this
-          searchQuery += ` OR "${category.displayName} price" OR "${category.displayName} budget" OR "${category.displayName} expense"`;
-        }
-        if (context.state.current_adaptations?.includes('try_local_sources')) {
-          // Tack on local community sources to search query
-          // TODO: use LLM call for this
-          searchQuery += ` site:reddit.com OR site:expat.com OR site:nomadlist.com`;
+        // STEP 2: Query-Level Learning (Reflection plan) -- Modifies queries
+        // i.e. HOW we search. When the reflect phase wrote new query text (and target domains) for this category, use it;
+        // the strategy still supplies the confidence modifier
+        if (querySource === 'reflection_plan') {
+          searchQuery = buildPlannedQuery(planEntry);
         }
+        context.memory.queries_by_category[category.name] = [
+          ...(context.memory.queries_by_category[category.name] || []),
+          searchQuery
+        ];
 
-        // STEP 3: Actually gather data; Execute the search query with Bright Data SERP API
-        const rawSearchData = await fetchWithBrightDataProxy(searchQuery, CONFIG);
-        // STEP 4: Based on that collected SERP data, build a perception of the category
-        const categoryPerception = buildPerceptionFromSearchData(rawSearchData, context.city, category.name, CONFIG.maxResults);
-        // STEP 5: Metadata. Apply strategy confidence modifier
-        categoryPerception.metadata.confidence_modifier = strategy.confidence_modifier;
-        categoryPerception.metadata.strategy_used = strategy.name;
+        // STEP 3: Actually gather data and build a perception of the category from it
+        const categoryPerception = await searchCategory(context, cityObj, category, strategy, searchQuery, querySource);
+
+        // STEP 4 (triangulation): the same category through a few more strategies, for candidate values to cross-check
+        // (these queries don't change between iterations, so retries are served from the cache)
+        categoryPerception.candidate_searches = CONFIG.triangulation.enabled ?
+          await gatherCandidateSearches(context, cityObj, category, strategy, searchQuery) :
+          [];
 
         categorySearchResults[category.name] = categoryPerception;
         totalOrganicResults += categoryPerception.metadata.organic_results_count;
         totalQualityScore += categoryPerception.metadata.data_quality_score;
         successfulCategories++;
 
-        await delay(CONFIG.delayBetweenRequests);
+        if (categoryPerception.metadata.data_source === 'fresh_serp_call') {
+          freshCategories++;
+        }
 
       } catch (categoryError) {
         addError(context, 'perception', `Category search failed: ${categoryError.message}`, category.name);
 
-        // Record strategy failure
+        // Record strategy failure (a planned query's failure is the plan's, not the strategy's)
         const { recordStrategy } = require('./context');
         const strategy = selectStrategy(context, category); // Get the strategy that was attempted
-        recordStrategy(context, strategy.name, category.name, false, 0);
+        // Failed searches are never cached, so this is a new outcome
+        recordStrategy(context, getAttemptStrategy(strategy.name, querySource), category.name, false, 0, 'fresh_serp_call');
       }
     }
 
@@ -86,20 +236,22 @@ async function perceive(context) {
       metadata: {
         total_organic_results: totalOrganicResults,
         average_data_quality_score: totalQualityScore / Math.max(successfulCategories, 1),
-        categories_searched: CONFIG.costCategories.length,
+        categories_searched: activeCategories.length,
+        categories_carried_over: categories.length - activeCategories.length,
         successful_categories: successfulCategories,
-        data_source: 'fresh_serp_calls',
+        cached_categories: successfulCategories - freshCategories,
+        data_source: CONFIG.replayDir ? 'replay_fixtures' :
+                     freshCategories === successfulCategories ? 'fresh_serp_calls' :
+                     freshCategories === 0 ? 'cached_data' :
+                     'mixed',
         agent_iteration: context.state.iteration
       }
     };
 
-    // STEP 6: Save SERP data to cache for city/country combination
-    saveCacheData({ name: context.city, country: context.country }, perception, CONFIG.cacheDir, CONFIG.cacheExpiryDays);
-
     context.perception = perception;
 
-    // STEP 7: Update context state
-    const completeness = successfulCategories / CONFIG.costCategories.length;
+    // STEP 5: Update context state
+    const completeness = successfulCategories / categories.length;
     updateState(context, { completeness });
 
     return context;
@@ -110,6 +262,108 @@ async function perceive(context) {
   }
 }
 
+// One candidate value for a category from one search: a clean parser value or an LLM extraction,
+// converted to USD, with its strategy's confidence modifier applied.
+// A correction (from validation) always goes to the LLM, with the correction added to the prompt.
+async function extractCandidate(context, categoryPerception, category, countryKey, correction = null) {
+  // Rule-based parser first: a clean value from a known site's price table skips the LLM call entirely
+  let result = correction ? null : extractStructuredCost(categoryPerception, category, countryKey, CONFIG);
+  if (!result) {
+    result = await extractCostData(categoryPerception, category, context.city, context.country, correction);
+    result.value_source = 'llm';
+    // Throttle only after an actual model call (not a cache hit or a replayed fixture)
+    if (result.extraction_source === 'fresh_llm_call') {
+      await delay(500);
+    }
+  }
+
+  // How far the cited source can be trusted (domain trust, not a content farm), and which domains the value came from
+  const sourceReliability = categoryPerception.metadata.source_reliability;
+  const citedSource = assessCitedSource(result.source, sourceReliability, CONFIG);
+  const sourceFactor = getSourceConfidenceFactor(citedSource, CONFIG);
+  result.source_reliability = citedSource ? { ...citedSource, confidence_factor: sourceFactor } : null;
+  result.source_domains = getContributingDomains(citedSource, sourceReliability, CONFIG);
+
+  // How old the figure is (its as_of_date, or the cited source's date); with cpiAdjust, old figures are brought forward
+  if (CONFIG.freshness.enabled) {
+    applyFreshness(result, countryKey, CONFIG, new Date(context.reference_date));
+  }
+
+  // Compute usd_amount from amount + currency with the exchange-rate table rather than trusting the model's conversion
+  applyCurrencyConversion(result, countryKey, CONFIG);
+  if (result.conversion_warning) {
+    addError(context, 'reasoning', `Currency conversion disagreement: ${result.conversion_warning}`, category.name);
+  }
+
+  // Apply strategy confidence modifier, the cited source's trust factor and the age discount
+  const strategyModifier = categoryPerception.metadata.confidence_modifier || 1.0;
+  const ageFactor = result.freshness?.factor || 1;
+  result.extracted_confidence = result.confidence;
+  result.confidence = Math.min(100, result.confidence * strategyModifier * sourceFactor * ageFactor);
+  result.confidence_modifier = strategyModifier;
+  result.strategy_used = categoryPerception.metadata.strategy_used;
+  result.query_source = categoryPerception.metadata.query_source;
+  result.data_source = categoryPerception.metadata.data_source;
+  return result;
+}
+
+// Sanity-check a category result with checkResult (validation.js issues). On failure it's re-extracted once
+// with a corrective prompt; if the corrected value fails too (or re-extraction is off) the result is rejected:
+// its amount moves to validation.rejected_usd_amount so it stays out of totals. Every failure goes to context.errors.
+async function validateResult(context, result, categoryPerception, category, countryKey, checkResult) {
+  const issues = checkResult(result);
+  if (issues.length === 0) {
+    result.validation = result.validation || { status: 'passed', issues: [] };
+    return result;
+  }
+
+  issues.forEach(issue => addError(context, 'validation', issue.message, category.name));
+  const allIssues = [...(result.validation?.issues || []), ...issues];
+
+  if (CONFIG.validation.reextract) {
+    try {
+      const corrected = await extractCandidate(context, categoryPerception, category, countryKey, buildCorrectionPrompt(result, issues));
+      const remaining = checkResult(corrected);
+      if (corrected.usd_amount && remaining.length === 0) {
+        addError(context, 'validation', `Re-extracted with a corrective prompt: $${result.usd_amount} -> $${corrected.usd_amount}`, category.name);
+        corrected.triangulation = result.triangulation;
+        corrected.source_domains = mergeSourceDomains([corrected.source_domains, result.source_domains], CONFIG);
+        corrected.validation = { status: 'corrected', issues: allIssues, original_usd_amount: result.usd_amount };
+        return corrected;
+      }
+      remaining.forEach(issue => addError(context, 'validation', `Still failing after re-extraction: ${issue.message}`, category.name));
+    } catch (error) {
+      addError(context, 'validation', `Corrective re-extraction failed: ${error.message}`, category.name);
+    }
+  }
+
+  addError(context, 'validation', `Rejected $${result.usd_amount}; left out of the totals`, category.name);
+  result.validation = { status: 'rejected', issues: allIssues, rejected_usd_amount: result.usd_amount };
+  result.usd_amount = null;
+  result.confidence = 0;
+  return result;
+}
+
+// Location tiers, household amounts and the value range, all derived from the final usd_amount
+function finalizeResult(result, category) {
+  // City center / outside center prices in USD, for categories extracted by location (rent)
+  applyLocationTiers(result, category);
+  // What the household pays: usd_amount × the profile's quantity and multiplier for this category
+  applyHouseholdQuantity(result, category);
+  // Low / typical / high range, from the source or the candidates, failing that from the final confidence
+  applyValueRange(result, CONFIG);
+  return result;
+}
+
+// Stale figures among the values the agent ended up with, one error per category
+// (not per candidate or iteration: a stale candidate that lost out, or a value later replaced, isn't reported)
+function flagStaleResults(context) {
+  const results = context.reasoning?.cost_analysis?.cost_categories || [];
+  results.filter(result => result.usd_amount && result.freshness?.stale).forEach(result => {
+    addError(context, 'reasoning', `Stale data: as of ${result.freshness.as_of} (${result.freshness.age_years} years old)`, result.category_key);
+  });
+}
+
 // REASONING - AI analysis with confidence tracking
 async function reason(context) {
   if (!context.perception) {
@@ -118,67 +372,132 @@ async function reason(context) {
     throw error;
   }
 
+  // Resolved ISO code when the city came through the gazetteer, for currency and PPP lookups
+  const countryKey = context.country_code || context.country;
+
   try {
     const costCategories = [];
-    let totalConfidence = 0;
-    let categoriesProcessed = 0;
+    const categories = getCostCategories();
+    // Plausible ranges are scaled to the country's price level
+    const priceLevelRatio = getPriceLevelRatio(countryKey, CONFIG);
+    // Best result per category from earlier iterations, and the categories this iteration works on
+    const previousResults = context.reasoning?.cost_analysis?.cost_categories || [];
+    const activeCategories = context.state.active_categories || categories.map(category => category.name);
 
     // Process each category
-    for (const category of CONFIG.costCategories) {
+    for (const category of categories) {
+      const previousResult = findCategoryResult(previousResults, category);
       const categoryPerception = context.perception.category_searches[category.name];
-      if (!categoryPerception) {
+      // Not retried this iteration (or its search failed): the best result so far stands
+      if (!activeCategories.includes(category.name) || !categoryPerception) {
+        if (previousResult) {
+          costCategories.push(previousResult);
+        }
         continue;
       }
 
       try {
-        const result = await extractCostData(categoryPerception, category, context.city, context.country);
+        // One candidate value per search: the primary strategy's, plus any corroborating searches (triangulation)
+        const candidates = [await extractCandidate(context, categoryPerception, category, countryKey)];
+        for (const candidatePerception of categoryPerception.candidate_searches || []) {
+          try {
+            candidates.push(await extractCandidate(context, candidatePerception, category, countryKey));
+          } catch (candidateError) {
+            addError(context, 'reasoning', `Candidate extraction (${candidatePerception.metadata.strategy_used}) failed: ${candidateError.message}`, category.name);
+          }
+        }
 
-        // Apply strategy confidence modifier
-        const strategyModifier = categoryPerception.metadata.confidence_modifier || 1.0;
-        result.confidence = Math.min(100, result.confidence * strategyModifier);
-        result.strategy_used = categoryPerception.metadata.strategy_used;
+        // Reconcile the candidates: outliers dropped, weighted median, confidence from agreement
+        let result = triangulateCandidates(candidates, CONFIG);
+        // Domains behind the value: those of every candidate that wasn't dropped as an outlier
+        result.source_domains = mergeSourceDomains(
+          candidates.filter((candidate, index) => !result.triangulation.candidates[index].rejected).map(candidate => candidate.source_domains),
+          CONFIG
+        );
+
+        // Sanity check: is the amount plausible for this category at this country's price level?
+        if (CONFIG.validation.enabled) {
+          result = await validateResult(context, result, categoryPerception, category, countryKey,
+            r => checkPlausibleRange(r, category, priceLevelRatio));
+        }
+        finalizeResult(result, category);
+        result.iteration = context.state.iteration;
 
-        // Record strategy success/failure based on confidence
+        // Record strategy success/failure for every strategy that contributed a candidate:
+        // success = kept (not an outlier) with 60%+ confidence. A candidate from a planned query is the plan's outcome
         const { recordStrategy } = require('./context');
-        const isSuccess = result.confidence >= 60; // Consider 60%+ confidence as success
-        recordStrategy(context, result.strategy_used, category.name, isSuccess, result.confidence);
-
-        costCategories.push(result);
-        totalConfidence += result.confidence;
-        categoriesProcessed++;
+        result.triangulation.candidates.forEach(candidate => {
+          const isSuccess = !candidate.rejected && candidate.confidence >= 60;
+          recordStrategy(context, getAttemptStrategy(candidate.strategy, candidate.query_source), category.name, isSuccess, candidate.confidence, candidate.data_source);
+        });
 
-        await delay(500);
+        // Keep whichever is better: this iteration's result or the best one from earlier iterations
+        costCategories.push(isBetterResult(result, previousResult) ? result : previousResult);
 
       } catch (categoryError) {
         addError(context, 'reasoning', `Category analysis failed: ${categoryError.message}`, category.name);
+        if (previousResult) {
+          costCategories.push(previousResult);
+        }
       }
     }
 
-    const averageConfidence = categoriesProcessed > 0 ? totalConfidence / categoriesProcessed : 0;
+    // Cross-category sanity checks (utilities well below rent, ...), now that every category has a value.
+    // Only this iteration's results are checked: one carried over from an earlier iteration was checked then,
+    // and checking it again would repeat its errors and its corrective re-extraction.
+    // A corrected value has to pass its plausible range as well as the ratio.
+    if (CONFIG.validation.enabled) {
+      for (const category of categories) {
+        const index = costCategories.findIndex(result => result.category_key === category.name);
+        if (index === -1 || costCategories[index].iteration !== context.state.iteration ||
+            checkCategoryRatios(costCategories[index], category, costCategories, categories, CONFIG).length === 0) {
+          continue;
+        }
+        const checkResult = r => [
+          ...checkPlausibleRange(r, category, priceLevelRatio),
+          ...checkCategoryRatios(r, category, costCategories, categories, CONFIG)
+        ];
+        const categoryPerception = context.perception.category_searches[category.name];
+        costCategories[index] = finalizeResult(
+          await validateResult(context, costCategories[index], categoryPerception, category, countryKey, checkResult),
+          category
+        );
+        costCategories[index].iteration = context.state.iteration;
+      }
+    }
+
+    const averageConfidence = costCategories.length > 0 ?
+      costCategories.reduce((sum, result) => sum + result.confidence, 0) / costCategories.length :
+      0;
 
     // Calculate PPP adjustments
     const basicCosts = {};
-    // Transform cost categories into a simple key-value object for PPP calculations
-    // Convert category names to lowercase with underscores and only include categories with valid USD amounts
-    costCategories.forEach(cat => {
-      if (cat.usd_amount && cat.usd_amount > 0) {
-        // Convert "Monthly Rent" -> "monthly_rent", "Internet" -> "internet", etc.
-        basicCosts[cat.category.toLowerCase().replace(/\s+/g, '_')] = cat.usd_amount;
+    const costRanges = {};
+    // Transform cost categories into a simple key-value object for PPP calculations:
+    // { rent_1br: 1200, internet: 35, ... } household amounts for the categories that count toward the monthly total
+    categories.filter(category => category.includeInTotal).forEach(category => {
+      const cat = findCategoryResult(costCategories, category);
+      if (cat && cat.usd_amount && cat.usd_amount > 0) {
+        basicCosts[category.name] = getHouseholdAmount(cat);
+        costRanges[category.name] = getHouseholdRange(cat);
       }
     });
 
-    const pppResults = calculatePPPAdjustedCosts(basicCosts, context.country, CONFIG.ppp);
+    const pppResults = calculatePPPAdjustedCosts(basicCosts, countryKey, CONFIG, costRanges);
+    if (pppResults.ppp_missing) {
+      addError(context, 'reasoning', `${pppResults.explanation} - costs are not PPP-adjusted`, 'ppp');
+    }
 
-    // Calculate remote work score
+    // Calculate remote work score, with the per-factor breakdown behind it
     const tempReasoning = {
       cost_analysis: {
         cost_categories: costCategories,
         ppp_analysis: pppResults
       }
     };
-    const remoteWorkScore = calculateRemoteWorkScore(tempReasoning, CONFIG.remoteWorkWeights);
+    const { score: remoteWorkScore, factors: remoteWorkFactors } = calculateRemoteWorkScore(tempReasoning, categories, context, CONFIG);
 
-    const remoteWorkerSummary = await generateRemoteWorkSummary(
+    const { summary: remoteWorkerSummary, model_used: summaryModel } = await generateRemoteWorkSummary(
       context.city,
       context.country,
       costCategories,
@@ -191,6 +510,7 @@ async function reason(context) {
       timestamp: new Date().toISOString(),
       city: context.city,
       country: context.country,
+      country_code: context.country_code,
       cost_analysis: {
         city: context.city,
         country: context.country,
@@ -208,9 +528,12 @@ async function reason(context) {
       sources_analyzed: context.perception.metadata.total_organic_results,
       search_strategy: 'adaptive_agentic',
       data_quality_score: context.perception.metadata.average_data_quality_score,
-      reasoning_model: 'gpt-4o-mini',
+      // Models that actually produced the numbers (cached/replayed results keep the model they were made with)
+      reasoning_model: [...new Set(costCategories.map(cat => cat.model_used).filter(Boolean))].join(', ') || describeModel('extraction'),
+      summary_model: summaryModel,
       agent_iteration: context.state.iteration,
-      remote_work_score: remoteWorkScore
+      remote_work_score: remoteWorkScore,
+      remote_work_factors: remoteWorkFactors
     };
 
     context.reasoning = reasoning;
@@ -223,11 +546,17 @@ async function reason(context) {
   } catch (error) {
     addError(context, 'reasoning', `Reasoning failure: ${error.message}`);
 
+    // A later iteration that fails keeps the analysis from the earlier ones rather than throwing their results away
+    if (context.reasoning?.cost_analysis?.cost_categories?.length > 0) {
+      return context;
+    }
+
     // Create fallback reasoning
     context.reasoning = {
       timestamp: new Date().toISOString(),
       city: context.city,
       country: context.country,
+      country_code: context.country_code,
       cost_analysis: {
         city: context.city,
         country: context.country,
@@ -236,7 +565,9 @@ async function reason(context) {
         ppp_analysis: {
           original: {},
           ppp_adjusted: {},
-          ppp_factor: CONFIG.ppp.find(p => p.country === context.country)?.value || 1.0,
+          ppp_factor: getPPPFactor(countryKey, CONFIG.ppp)?.value ?? null,
+          ppp_year: getPPPFactor(countryKey, CONFIG.ppp)?.year ?? null,
+          price_level_ratio: getPPPFactor(countryKey, CONFIG.ppp)?.price_level_ratio ?? null,
           explanation: 'Error in analysis'
         },
         overall_assessment: {
@@ -248,6 +579,7 @@ async function reason(context) {
         total_confidence: 0
       },
       remote_work_score: 0,
+      remote_work_factors: [],
       sources_analyzed: context.perception?.metadata?.total_organic_results || 0,
       search_strategy: 'adaptive_agentic',
       data_quality_score: context.perception?.metadata?.average_data_quality_score || 0,
@@ -259,40 +591,60 @@ async function reason(context) {
   }
 }
 
+// Ask the model for the next iteration's search plan; without llmPlanning, or if the call fails, use the fallback plan
+async function planNextIteration(context) {
+  const reflectionInput = buildReflectionInput(context, getCostCategories(), CONFIG);
+  let plan = buildFallbackPlan(reflectionInput);
+
+  if (CONFIG.reflection.llmPlanning) {
+    try {
+      const modelPlan = await planSearchAdaptations(context.city, context.country, reflectionInput, CONFIG.confidenceThreshold);
+      plan = normalizeSearchPlan(modelPlan, reflectionInput, CONFIG);
+    } catch (error) {
+      addError(context, 'reflection', `Search planning failed, moving low-confidence categories to the next strategy: ${error.message}`);
+    }
+  }
+
+  plan.iteration = context.state.iteration;
+  plan.created_at = new Date().toISOString();
+  context.memory.search_plans.push(plan);
+  return plan;
+}
+
 // REFLECTION - Self-assessment and adaptation
 async function reflect(context) {
   const evaluation = evaluateGoals(context);
 
   if (evaluation.goals_met) {
-    return { should_continue: false, adaptations: [] };
+    return { should_continue: false, plan: null };
   }
 
   if (!evaluation.should_retry) {
-    return { should_continue: false, adaptations: [] };
+    return { should_continue: false, plan: null };
   }
 
-  // Analyze results for adaptation
-  const results = context.reasoning?.cost_analysis?.cost_categories || [];
-  const adaptationAnalysis = adaptSearchBasedOnResults(context, results);
+  // Plan how the next iteration searches
+  const plan = await planNextIteration(context);
+
+  // Nothing left to retry (every weak category is left alone by the plan): another pass would change nothing
+  if (selectCategoriesToProcess(context, getCostCategories(), plan).length === 0) {
+    return { should_continue: false, plan: plan };
+  }
 
   return {
     should_continue: true,
-    adaptations: adaptationAnalysis.suggested_adaptations,
-    needs_retry: adaptationAnalysis.needs_retry
+    plan: plan
   };
 }
 
 // MAIN AGENTIC TICK - Goal-oriented behavior with retry logic
-async function agentTick(cityObj) {
-  const context = createAgentContext(cityObj);
+// options.onIteration(context, evaluation) fires after every Perceive -> Reason -> Reflect cycle
+// (the single-agent test mode in main.js uses it to print what the agent did on each pass)
+async function agentTick(cityObj, options = {}) {
+  const context = createAgentContext(cityObj, CONFIG.referenceDate);
 
   while (context.state.iteration < context.state.max_iterations) {
     try {
-      // Log current adaptations at start of iteration
-      if (context.state.current_adaptations && context.state.current_adaptations.length > 0) {
-        // Adaptations applied silently in simple version
-      }
-
       // Perceive -> Reason -> Reflect cycle
       // Step 1: PERCEIVE - Go out and gather data
       await perceive(context);
@@ -301,20 +653,19 @@ async function agentTick(cityObj) {
       // Step 3: REFLECT - Ask "Did I do a good job? Should I try again?"
       const evaluation = await reflect(context);
 
-      // Store adaptations in context for other functions to use
-      context.state.current_adaptations = evaluation.adaptations;
+      if (options.onIteration) {
+        options.onIteration(context, evaluation);
+      }
+
+      // Store the plan in context for the next perceive()
+      context.state.current_plan = evaluation.plan;
 
       // Step 4: DECIDE - Based on reflection, keep going or stop
       if (!evaluation.should_continue) {
         break; // Stop, we're done!
       }
-      // Step 5: ADAPT - Make changes for next attempt
+      // Step 5: ADAPT - Make changes for next attempt (the plan is applied by perceive)
       context.state.iteration++;
-
-      // Apply adaptations that affect memory/strategy selection
-      if (evaluation.adaptations.includes('alternative_category_approach')) {
-        context.memory.failed_strategies = [];
-      }
     } catch (error) {
       addError(context, 'agent_tick', `Iteration ${context.state.iteration + 1} failed: ${error.message}`);
       context.state.iteration++;
@@ -326,9 +677,15 @@ async function agentTick(cityObj) {
   }
 
   // Finalize context
+  flagStaleResults(context);
   context.metadata.completed_at = new Date().toISOString();
   context.metadata.execution_time_ms = Date.now() - new Date(context.metadata.started_at).getTime();
 
+  // Keep what this agent learned about its strategies for future runs
+  if (isStrategyMemoryEnabled(CONFIG)) {
+    recordAgentMemory(context, CONFIG);
+  }
+
   return context;
 }
 
@@ -1,14 +1,136 @@
 process.env["NODE_TLS_REJECT_UNAUTHORIZED"] = 0;
 
-const { openai } = require('@ai-sdk/openai');
+const { openai, createOpenAI } = require('@ai-sdk/openai');
 const { generateObject } = require('ai');
 const { z } = require('zod');
+const CONFIG = require('./config');
+const { getLLMCacheKey, loadCachedLLMResult, saveCachedLLMResult } = require('./cache');
+const { loadLLMFixture, recordLLMFixture } = require('./fixtures');
+const { buildExtraSchemaFields, getPromptHints } = require('./categories');
 
-async function extractCostData(categoryPerception, category, cityName, countryName) {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY environment variable is not set');
+// A stable, serializable description of a zod schema's shape, used as part of the LLM cache key
+function describeSchema(schema) {
+  const def = schema._def;
+
+  switch (def.typeName) {
+    case 'ZodObject':
+      return {
+        type: 'object',
+        shape: Object.fromEntries(Object.entries(schema.shape).map(([key, value]) => [key, describeSchema(value)]))
+      };
+    case 'ZodNullable':
+    case 'ZodOptional':
+      return { type: def.typeName, inner: describeSchema(def.innerType) };
+    case 'ZodArray':
+      return { type: 'array', items: describeSchema(def.type) };
+    case 'ZodLiteral':
+      return { type: 'literal', value: def.value };
+    case 'ZodEnum':
+      return { type: 'enum', values: def.values };
+    default:
+      return { type: def.typeName, checks: def.checks || [], description: schema.description || null };
+  }
+}
+
+// Human-readable id of the backend configured for a task ('extraction' or 'summary'),
+// e.g. "openai:gpt-4o-mini" or "openai_compatible:llama3.1:8b@http://localhost:11434/v1".
+// Recorded on results and part of the LLM cache key, so different backends never share cache entries.
+// In --replay it's the model the fixture set was recorded with (its manifest), so fixture keys match whatever
+// backend this environment is configured for.
+function describeModel(task) {
+  if (CONFIG.replayDir && CONFIG.replayModels?.[task]) {
+    return CONFIG.replayModels[task];
+  }
+  const llmConfig = CONFIG.llm[task];
+  const label = `${llmConfig.provider}:${llmConfig.model}`;
+  return llmConfig.provider === 'openai' ? label : `${label}@${llmConfig.baseURL}`;
+}
+
+// Build the AI SDK model for a task from config.js
+function createModelForTask(task) {
+  const llmConfig = CONFIG.llm[task];
+
+  if (llmConfig.provider === 'openai') {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error('OPENAI_API_KEY environment variable is not set');
+    }
+    return openai(llmConfig.model);
+  }
+
+  if (llmConfig.provider === 'openai_compatible') {
+    if (!llmConfig.baseURL) {
+      throw new Error(`No base URL configured for the ${task} LLM (LLM_BASE_URL)`);
+    }
+    const provider = createOpenAI({
+      name: 'openai_compatible',
+      baseURL: llmConfig.baseURL,
+      apiKey: llmConfig.apiKey || 'not-needed', // local servers usually ignore the key
+      compatibility: 'compatible'
+    });
+    return provider(llmConfig.model);
+  }
+
+  throw new Error(`Unknown LLM provider for ${task}: ${llmConfig.provider} (available: openai, openai_compatible)`);
+}
+
+// describeModel for every configured task, as saved in a fixture manifest: { extraction, summary, reflection }
+function describeModels() {
+  return Object.fromEntries(Object.keys(CONFIG.llm).map(task => [task, describeModel(task)]));
+}
+
+// generateObject behind a content-addressed cache (model + schema shape + prompt).
+// On a re-run against cached SERP data the prompts are identical, so no LLM calls are made.
+// In --replay mode results come only from the fixture set; in --record mode every result used is written to it.
+// Returns { object, source }, source being where it came from: fresh_llm_call, cached_llm or replay_fixture
+async function generateObjectWithCache(task, schema, prompt) {
+  const modelName = describeModel(task);
+  const cacheKey = getLLMCacheKey(modelName, describeSchema(schema), prompt);
+
+  if (CONFIG.replayDir) {
+    return { object: loadLLMFixture(CONFIG.replayDir, cacheKey), source: 'replay_fixture' };
+  }
+
+  if (CONFIG.llmCacheEnabled) {
+    const cachedResult = loadCachedLLMResult(cacheKey, CONFIG.cacheDir);
+    if (cachedResult) {
+      if (CONFIG.recordDir) {
+        recordLLMFixture(CONFIG.recordDir, cacheKey, modelName, prompt, cachedResult);
+      }
+      return { object: cachedResult, source: 'cached_llm' };
+    }
+  }
+
+  const result = await generateObject({
+    model: createModelForTask(task),
+    schema: schema,
+    prompt: prompt,
+    ...(CONFIG.llm[task].mode ? { mode: CONFIG.llm[task].mode } : {})
+  });
+
+  if (CONFIG.llmCacheEnabled) {
+    saveCachedLLMResult(cacheKey, modelName, result.object, CONFIG.cacheDir, CONFIG.llmCacheExpiryDays);
+  }
+  if (CONFIG.recordDir) {
+    recordLLMFixture(CONFIG.recordDir, cacheKey, modelName, prompt, result.object);
   }
 
+  return { object: result.object, source: 'fresh_llm_call' };
+}
+
+// Price tables fetched from source pages (page-fetching perception), as an extra prompt section
+function formatPageEvidence(pageEvidence) {
+  if (!pageEvidence || pageEvidence.length === 0) {
+    return '';
+  }
+
+  return `
+Page Evidence (price tables fetched from the source pages above; prefer these over snippets):
+${pageEvidence.map(page => `[${page.url}]\n${page.text}`).join('\n\n')}
+`;
+}
+
+// correction: an extra section explaining why a previous extraction failed validation (see validation.js)
+async function extractCostData(categoryPerception, category, cityName, countryName, correction = null) {
   const searchData = categoryPerception.sources.google_search;
   const formattedResults = JSON.stringify(searchData, null, 2);
 
@@ -19,25 +141,31 @@ Target Category: "${category.displayName}"
 
 Search Results:
 ${formattedResults}
-
+${formatPageEvidence(categoryPerception.sources.page_evidence)}
 Extract the following information:
 1. Find the most relevant and recent cost data for ${category.displayName}
-2. Extract the amount and currency
+2. Extract the amount and currency (currency as an ISO 4217 code, e.g. EUR, THB, IDR)
 3. Convert to USD if possible
 4. Identify the source and reliability
 5. Provide context (e.g., city center vs suburbs, monthly vs daily)
-6. Assign a confidence score as an INTEGER from 0 to 100 (IMPORTANT: This must be a whole number percentage like 85, not a decimal like 0.85)`;
+6. Assign a confidence score as an INTEGER from 0 to 100 (IMPORTANT: This must be a whole number percentage like 85, not a decimal like 0.85)
+7. Give the typical value as amount, and the low and high end of the range the sources show as low_amount and high_amount (same currency; null if the sources give a single figure)
+8. Give the date the figure is for as as_of_date: YYYY-MM, or YYYY when the sources only give a year (e.g. "Last update: March 2024", a result's date, "2023 prices"); null when they don't say. Don't use today's date, and don't lower confidence for age yourself - it's discounted from as_of_date`;
 
-  if (category.name === 'internet') {
+  // Category-specific instructions from its config entry, numbered on from the general ones
+  const promptHints = getPromptHints(category);
+  if (promptHints.length > 0) {
     prompt += `
 
-INTERNET SPECIFIC REQUIREMENTS:
-7. Extract internet speed in Mbps (look for download speeds)
-8. Rate internet reliability on a scale of 0-100 based on user reviews/reports
-9. Determine if fiber internet is widely available (true/false)
-10. Look for monthly internet package costs (not daily or hourly rates)
+${category.displayName.toUpperCase()} SPECIFIC REQUIREMENTS:
+${promptHints.map((hint, index) => `${index + 9}. ${hint}`).join('\n')}`;
+  }
+
+  if (correction) {
+    prompt += `
 
-INTERNET DATA SOURCES: Prioritize Numbeo, Speedtest.net data, ISP websites, and user reviews.`;
+CORRECTION NEEDED:
+${correction}`;
   }
 
   prompt += `
@@ -58,27 +186,20 @@ Return structured data for this specific category only.`;
   const baseSchema = {
     category: z.literal(category.displayName),
     amount: z.number().nullable(),
+    low_amount: z.number().nullable(),
+    high_amount: z.number().nullable(),
     currency: z.string().nullable(),
     usd_amount: z.number().nullable(),
     source: z.string().nullable(),
     context: z.string().nullable(),
     confidence: z.number().min(0).max(100),
+    as_of_date: z.string().nullable(),
     notes: z.string().nullable()
   };
 
-  if (category.name === 'internet') {
-    baseSchema.internet_speed_mbps = z.number().nullable();
-    baseSchema.internet_reliability_score = z.number().min(0).max(100).nullable();
-    baseSchema.fiber_availability = z.boolean().nullable();
-  }
-
-  const result = await generateObject({
-    model: openai('gpt-4o-mini'),
-    schema: z.object(baseSchema),
-    prompt: prompt
-  });
-
-  return result.object;
+  const schema = z.object({ ...baseSchema, ...buildExtraSchemaFields(category) });
+  const { object: result, source } = await generateObjectWithCache('extraction', schema, prompt);
+  return { ...result, category_key: category.name, model_used: describeModel('extraction'), extraction_source: source };
 }
 
 async function generateRemoteWorkSummary(cityName, countryName, costCategories, averageConfidence, remoteWorkScore, pppResults) {
@@ -88,7 +209,7 @@ Cost Data Summary:
 - Average confidence: ${averageConfidence.toFixed(1)}%
 - Categories analyzed: ${costCategories.length}
 - Remote work score: ${remoteWorkScore}/100
-- PPP factor: ${pppResults.ppp_factor.toFixed(3)}
+- Price level: ${pppResults.ppp_missing ? 'not available' : `${Math.round(pppResults.price_level_ratio * 100)}% of US prices (${pppResults.ppp_year} PPP data)`}
 - Country: ${countryName}
 
 Key costs found:
@@ -105,20 +226,61 @@ Example format: "Lisbon offers a strong balance for remote workers, with afforda
 Keep it concise and actionable for someone deciding where to live remotely.`;
 
   try {
-    const summaryResult = await generateObject({
-      model: openai('gpt-4o-mini'),
-      schema: z.object({
-        summary: z.string().describe("Remote worker-focused summary of the city's suitability")
-      }),
-      prompt: summaryPrompt
-    });
-    return summaryResult.object.summary;
+    const { object: summaryResult } = await generateObjectWithCache('summary', z.object({
+      summary: z.string().describe("Remote worker-focused summary of the city's suitability")
+    }), summaryPrompt);
+    return { summary: summaryResult.summary, model_used: describeModel('summary') };
   } catch (error) {
-    return `${cityName} shows ${averageConfidence > 70 ? 'strong' : averageConfidence > 50 ? 'moderate' : 'limited'} data availability for remote work planning. With a ${remoteWorkScore}/100 remote work score and ${pppResults.ppp_factor.toFixed(3)} PPP factor, it ${remoteWorkScore > 70 ? 'appears well-suited' : remoteWorkScore > 50 ? 'offers mixed potential' : 'may present challenges'} for remote workers based on available cost and infrastructure data.`;
+    const summary = `${cityName} shows ${averageConfidence > 70 ? 'strong' : averageConfidence > 50 ? 'moderate' : 'limited'} data availability for remote work planning. With a ${remoteWorkScore}/100 remote work score${pppResults.ppp_missing ? '' : ` and prices at ${Math.round(pppResults.price_level_ratio * 100)}% of US levels`}, it ${remoteWorkScore > 70 ? 'appears well-suited' : remoteWorkScore > 50 ? 'offers mixed potential' : 'may present challenges'} for remote workers based on available cost and infrastructure data.`;
+    return { summary, model_used: 'template-fallback' };
   }
 }
 
+// Reflection: given how each category went (buildReflectionInput in strategies.js), write the next iteration's
+// search plan. Returns the model's raw plan ({ categories: [{ category, action, query, target_domains, rationale }], notes });
+// strategies.js checks it before the agent uses it.
+async function planSearchAdaptations(cityName, countryName, reflectionInput, confidenceThreshold) {
+  const prompt = `You are planning web searches for a cost-of-living research agent. Its last pass over ${cityName}, ${countryName} left some categories below the ${confidenceThreshold}% confidence target.
+
+For each category below you have the value found, its confidence, the search queries already tried and the top results those searches returned:
+
+${reflectionInput.map(entry => `### ${entry.display_name} (category: ${entry.category})
+Value: ${entry.usd_amount ? `$${entry.usd_amount}/month` : 'not found'} at ${entry.confidence}% confidence${entry.low_confidence ? ' (LOW)' : ''}
+Queries tried:
+${entry.queries_tried.length > 0 ? entry.queries_tried.map(query => `- ${query}`).join('\n') : '- (none)'}
+Results seen:
+${entry.snippets.length > 0 ? entry.snippets.map(snippet => `- ${snippet.title} [${snippet.link}]: ${snippet.description}`).join('\n') : '- (no results)'}`).join('\n\n')}
+
+Write a plan for the next pass, one entry per category:
+1. action "keep" for categories that are good enough or where more searching won't help; they are left alone
+2. action "retry" for categories worth another search, with the new query text in "query". Write a plain search engine query
+   (no site: operators, no quotes around the whole query) that is clearly different from the ones already tried:
+   local-language terms, the local currency, a more specific item name, or a different angle on the same cost
+3. target_domains: up to 3 domains likely to publish this price for this city (e.g. a local property portal, the transit
+   operator, a national statistics office), or an empty list to search the whole web
+4. rationale: one short sentence on why
+
+Return the plan as structured data.`;
+
+  const schema = z.object({
+    categories: z.array(z.object({
+      category: z.enum(reflectionInput.map(entry => entry.category)),
+      action: z.enum(['retry', 'keep']),
+      query: z.string().nullable(),
+      target_domains: z.array(z.string()),
+      rationale: z.string().nullable()
+    })),
+    notes: z.string().nullable()
+  });
+
+  const { object: plan } = await generateObjectWithCache('reflection', schema, prompt);
+  return { ...plan, model_used: describeModel('reflection') };
+}
+
 module.exports = {
+  describeModel,
+  describeModels,
   extractCostData,
-  generateRemoteWorkSummary
+  generateRemoteWorkSummary,
+  planSearchAdaptations
 }; 
\ No newline at end of file
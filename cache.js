@@ -1,72 +1,131 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
-function getCacheFilePath(cityObj, cacheDir = 'cache') {
-  const cityIdentifier = `${cityObj.name}_${cityObj.country}`.toLowerCase().replace(/[^a-z0-9]/g, '_');
-  return path.join(cacheDir, `${cityIdentifier}_cache.json`);
+function toIdentifier(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]/g, '_');
 }
 
-function hasCachedData(cityObj, cacheDir = 'cache', cacheExpiryDays = 7) {
+function hashKey(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+// SERP entries are keyed by search provider, city, category and the final query string.
+// A retry with a different strategy or an adapted query gets a different key, so it misses the cache and searches again;
+// an unchanged query for a category that was already good hits the cache and skips the SERP call.
+// The provider keeps canned `mock` results from ever being served to a run against a real provider.
+function getSearchCachePath(cityObj, categoryName, query, provider, cacheDir = 'cache') {
+  const cityIdentifier = toIdentifier(`${cityObj.name}_${cityObj.country}`);
+  return path.join(cacheDir, cityIdentifier, `${toIdentifier(provider)}_${toIdentifier(categoryName)}_${hashKey(query)}.json`);
+}
+
+// Fetched source pages (page-fetching perception) are keyed by URL, under <cacheDir>/pages
+function getPageCachePath(url, cacheDir = 'cache') {
+  return path.join(cacheDir, 'pages', `${hashKey(url)}.json`);
+}
+
+// Reads a cache entry, honouring the TTL stored on the entry itself. Expired entries are deleted.
+function readCacheEntry(filePath) {
   try {
-    const cacheFilePath = getCacheFilePath(cityObj, cacheDir);
-    
-    if (!fs.existsSync(cacheFilePath)) {
-      return false;
+    if (!fs.existsSync(filePath)) {
+      return null;
     }
-    
-    const cacheData = JSON.parse(fs.readFileSync(cacheFilePath, 'utf8'));
-    const cacheAge = Date.now() - new Date(cacheData.timestamp).getTime();
-    const maxAge = cacheExpiryDays * 24 * 60 * 60 * 1000;
-    
-    if (cacheAge > maxAge) {
-      return false;
+
+    const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (Date.now() > new Date(entry.expires_at).getTime()) {
+      fs.unlinkSync(filePath);
+      return null;
     }
-    
-    return true;
-  } catch (error) {
-    return false;
-  }
-}
 
-function loadCachedData(cityObj, cacheDir = 'cache') {
-  try {
-    const cacheFilePath = getCacheFilePath(cityObj, cacheDir);
-    const cacheData = JSON.parse(fs.readFileSync(cacheFilePath, 'utf8'));
-    
-    return cacheData.perception;
+    return entry;
   } catch (error) {
     return null;
   }
 }
 
-function saveCacheData(cityObj, perception, cacheDir = 'cache', cacheExpiryDays = 7) {
+function writeCacheEntry(filePath, entry, ttlDays = 7) {
   try {
-    if (!fs.existsSync(cacheDir)) {
-      fs.mkdirSync(cacheDir, { recursive: true });
-    }
-    
-    const cacheFilePath = getCacheFilePath(cityObj, cacheDir);
-    const cacheData = {
-      timestamp: new Date().toISOString(),
-      city: cityObj.name,
-      country: cityObj.country,
-      perception: perception,
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const now = Date.now();
+    const cacheEntry = {
+      timestamp: new Date(now).toISOString(),
+      expires_at: new Date(now + ttlDays * 24 * 60 * 60 * 1000).toISOString(),
+      ttl_days: ttlDays,
+      ...entry,
       metadata: {
-        cache_version: '1.0',
-        expiry_days: cacheExpiryDays
+        cache_version: '2.0'
       }
     };
-    
-    fs.writeFileSync(cacheFilePath, JSON.stringify(cacheData, null, 2), 'utf8');
+
+    fs.writeFileSync(filePath, JSON.stringify(cacheEntry, null, 2), 'utf8');
     return true;
   } catch (error) {
     return false;
   }
 }
 
+// LLM results are content-addressed: the key is a hash of the model name, the schema shape and the prompt
+// (which already embeds the formatted SERP results), so any change to inputs produces a new entry.
+function getLLMCacheKey(modelName, schemaShape, prompt) {
+  return crypto.createHash('sha256').update(JSON.stringify([modelName, schemaShape, prompt])).digest('hex');
+}
+
+// LLM entries live next to the SERP cache, under <cacheDir>/llm
+function getLLMCachePath(cacheKey, cacheDir = 'cache') {
+  return path.join(cacheDir, 'llm', `${cacheKey}.json`);
+}
+
+function loadCachedSearch(cityObj, categoryName, query, provider, cacheDir = 'cache') {
+  const entry = readCacheEntry(getSearchCachePath(cityObj, categoryName, query, provider, cacheDir));
+  return entry ? entry.data : null;
+}
+
+function saveCachedSearch(cityObj, categoryName, query, provider, searchData, cacheDir = 'cache', ttlDays = 7) {
+  return writeCacheEntry(getSearchCachePath(cityObj, categoryName, query, provider, cacheDir), {
+    provider: provider,
+    city: cityObj.name,
+    country: cityObj.country,
+    category: categoryName,
+    query: query,
+    data: searchData
+  }, ttlDays);
+}
+
+function loadCachedPage(url, cacheDir = 'cache') {
+  const entry = readCacheEntry(getPageCachePath(url, cacheDir));
+  return entry ? entry.html : null;
+}
+
+function saveCachedPage(url, html, cacheDir = 'cache', ttlDays = 7) {
+  return writeCacheEntry(getPageCachePath(url, cacheDir), {
+    url: url,
+    html: html
+  }, ttlDays);
+}
+
+function loadCachedLLMResult(cacheKey, cacheDir = 'cache') {
+  const entry = readCacheEntry(getLLMCachePath(cacheKey, cacheDir));
+  return entry ? entry.result : null;
+}
+
+function saveCachedLLMResult(cacheKey, modelName, result, cacheDir = 'cache', ttlDays = 30) {
+  return writeCacheEntry(getLLMCachePath(cacheKey, cacheDir), {
+    model: modelName,
+    result: result
+  }, ttlDays);
+}
+
 module.exports = {
-  getCacheFilePath,
-  hasCachedData,
-  loadCachedData,
-  saveCacheData
-}; 
\ No newline at end of file
+  getSearchCachePath,
+  loadCachedSearch,
+  saveCachedSearch,
+  getPageCachePath,
+  loadCachedPage,
+  saveCachedPage,
+  getLLMCacheKey,
+  getLLMCachePath,
+  loadCachedLLMResult,
+  saveCachedLLMResult
+};
\ No newline at end of file
@@ -0,0 +1,302 @@
+// Cost category registry - everything category-specific (search template, extra schema fields, prompt hints,
+// whether it counts toward the monthly total, which score factor it feeds) comes from the entries in
+// config.costCategories, so adding a category is a config change with no code edits elsewhere.
+// The active household profile (config.profiles[config.profile]) picks which categories run and how many
+// of each the household needs (quantity × multiplier).
+// Categories with locationTiers (rent) are extracted as city center / outside center prices, plus named
+// neighborhoods when the sources give them, so budgets can be checked per location.
+const { z } = require('zod');
+const CONFIG = require('./config');
+
+const CATEGORY_DEFAULTS = {
+  searchTemplate: null,
+  pageKeywords: [],
+  promptHints: [],
+  extraFields: {},
+  includeInTotal: true,
+  scoring: null,
+  reportDetail: null,
+  locationTiers: false,
+  plausibleRange: null
+};
+
+const LOCATION_TIERS = {
+  city_center: 'City center',
+  outside_center: 'Outside center'
+};
+
+// Extraction instructions for categories with locationTiers, ahead of the category's own promptHints
+const LOCATION_TIER_HINTS = [
+  'Report the city center price in city_center_amount and the outside-of-center price in outside_center_amount (same currency as amount); leave either null if the sources don\'t give it',
+  'Set amount to the city center price, or to the only price given if the sources don\'t say where it applies',
+  'If sources give prices for named neighborhoods, list them in neighborhoods with the tier each one belongs to'
+];
+
+const FIELD_TYPES = ['number', 'boolean', 'string'];
+
+// `scoring: 'cost_of_living'` is shorthand for `scoring: { hook: 'cost_of_living' }`; a category can feed several
+// score factors with a list of them
+function normalizeScoring(scoring) {
+  return (Array.isArray(scoring) ? scoring : [scoring])
+    .filter(Boolean)
+    .map(entry => typeof entry === 'string' ? { hook: entry } : entry);
+}
+
+// Fill in defaults; scoring always ends up as a list of { hook, field }
+function normalizeCategory(category) {
+  return {
+    ...CATEGORY_DEFAULTS,
+    ...category,
+    scoring: normalizeScoring(category.scoring)
+  };
+}
+
+// Every configured category, whether or not the active profile uses it
+function getAllCostCategories(config = CONFIG) {
+  return config.costCategories.map(normalizeCategory);
+}
+
+// { name, displayName, description, householdSize, categories } for config.profile, or null when profiles aren't used
+function getActiveProfile(config = CONFIG) {
+  if (!config.profile || !config.profiles || !config.profiles[config.profile]) {
+    return null;
+  }
+  return { name: config.profile, ...config.profiles[config.profile] };
+}
+
+// `groceries: 2` is shorthand for `groceries: { quantity: 2 }`
+function normalizeProfileEntry(entry) {
+  const spec = typeof entry === 'number' ? { quantity: entry } : (entry || {});
+  return {
+    quantity: spec.quantity ?? 1,
+    multiplier: spec.multiplier ?? 1
+  };
+}
+
+// The categories the active profile needs, each with its quantity and multiplier
+function getCostCategories(config = CONFIG) {
+  const profile = getActiveProfile(config);
+  return getAllCostCategories(config)
+    .filter(category => !profile || profile.categories[category.name] !== undefined)
+    .map(category => ({
+      ...category,
+      ...normalizeProfileEntry(profile ? profile.categories[category.name] : 1)
+    }));
+}
+
+// Checked once before the agents start. scoringFactors = factor names the scoring engine knows.
+function validateCostCategories(categories, scoringFactors) {
+  const errors = [];
+  const seen = new Set();
+
+  categories.forEach((category, index) => {
+    const label = category.name || `costCategories[${index}]`;
+
+    if (!category.name || !category.displayName) {
+      errors.push(`${label}: every category needs a name and a displayName`);
+    }
+    if (seen.has(category.name)) {
+      errors.push(`${label}: duplicate category name`);
+    }
+    seen.add(category.name);
+
+    Object.entries(category.extraFields).forEach(([field, spec]) => {
+      if (!FIELD_TYPES.includes(spec.type)) {
+        errors.push(`${label}: extra field ${field} has unknown type ${spec.type} (use ${FIELD_TYPES.join(', ')})`);
+      }
+    });
+
+    category.scoring.forEach(entry => {
+      if (!scoringFactors.includes(entry.hook)) {
+        errors.push(`${label}: unknown scoring factor ${entry.hook} (available: ${scoringFactors.join(', ')})`);
+      }
+      if (entry.field && !category.extraFields[entry.field]) {
+        errors.push(`${label}: scoring field ${entry.field} is not one of its extraFields`);
+      }
+    });
+    if (category.reportDetail && !category.extraFields[category.reportDetail.field]) {
+      errors.push(`${label}: reportDetail field ${category.reportDetail.field} is not one of its extraFields`);
+    }
+    const range = category.plausibleRange;
+    if (range && !(typeof range.min === 'number' && typeof range.max === 'number' && range.min < range.max)) {
+      errors.push(`${label}: plausibleRange needs numeric min < max`);
+    }
+  });
+
+  return errors;
+}
+
+// Checked alongside the categories: the chosen profile exists and only names known categories
+function validateProfile(config, categories) {
+  if (!config.profile) {
+    return [];
+  }
+  if (!config.profiles || !config.profiles[config.profile]) {
+    return [`Unknown profile ${config.profile} (available: ${Object.keys(config.profiles || {}).join(', ')})`];
+  }
+
+  const errors = [];
+  const names = categories.map(category => category.name);
+  Object.entries(config.profiles[config.profile].categories || {}).forEach(([name, entry]) => {
+    if (!names.includes(name)) {
+      errors.push(`profile ${config.profile}: unknown category ${name} (available: ${names.join(', ')})`);
+      return;
+    }
+    const { quantity, multiplier } = normalizeProfileEntry(entry);
+    if (!(quantity > 0) || !(multiplier > 0)) {
+      errors.push(`profile ${config.profile}: ${name} needs a positive quantity and multiplier`);
+    }
+  });
+  if (Object.keys(config.profiles[config.profile].categories || {}).length === 0) {
+    errors.push(`profile ${config.profile}: no categories listed`);
+  }
+  return errors;
+}
+
+// What the household pays for a category: the per-unit usd_amount × quantity × multiplier
+function applyHouseholdQuantity(result, category) {
+  result.quantity = category.quantity ?? 1;
+  result.multiplier = category.multiplier ?? 1;
+  result.household_usd_amount = result.usd_amount ?
+    Math.round(result.usd_amount * getHouseholdFactor(result) * 100) / 100 :
+    null;
+  return result;
+}
+
+function getHouseholdFactor(result) {
+  return (result.quantity ?? 1) * (result.multiplier ?? 1);
+}
+
+function getHouseholdAmount(result) {
+  return result.household_usd_amount ?? result.usd_amount;
+}
+
+// "2 × $120" / "1.8 × $95" when the household needs more than one unit ('' otherwise)
+function formatHouseholdQuantity(result) {
+  const factor = getHouseholdFactor(result);
+  if (!result.usd_amount || factor === 1) {
+    return '';
+  }
+  return `${Math.round(factor * 100) / 100} × $${result.usd_amount.toFixed(0)}`;
+}
+
+function getPromptHints(category) {
+  return category.locationTiers ? [...LOCATION_TIER_HINTS, ...category.promptHints] : category.promptHints;
+}
+
+// Extra zod fields for the extraction schema. All nullable: the model may not find them.
+function buildExtraSchemaFields(category) {
+  const fields = {};
+  if (category.locationTiers) {
+    fields.city_center_amount = z.number().nullable().describe('Monthly price in the city center');
+    fields.outside_center_amount = z.number().nullable().describe('Monthly price outside the city center');
+    fields.neighborhoods = z.array(z.object({
+      name: z.string(),
+      tier: z.enum(Object.keys(LOCATION_TIERS)),
+      amount: z.number()
+    })).nullable().describe('Prices for named neighborhoods, when the sources give them');
+  }
+
+  Object.entries(category.extraFields).forEach(([field, spec]) => {
+    let schema = spec.type === 'boolean' ? z.boolean() : spec.type === 'string' ? z.string() : z.number();
+    if (spec.type === 'number' && spec.min !== undefined) {
+      schema = schema.min(spec.min);
+    }
+    if (spec.type === 'number' && spec.max !== undefined) {
+      schema = schema.max(spec.max);
+    }
+    if (spec.description) {
+      schema = schema.describe(spec.description);
+    }
+    fields[field] = schema.nullable();
+  });
+  return fields;
+}
+
+function fillSearchTemplate(category, city, country) {
+  return category.searchTemplate
+    .replace(/\{city\}/g, city)
+    .replace(/\{country\}/g, country)
+    .replace(/\{category\}/g, category.displayName);
+}
+
+function findCategoryResult(results, category) {
+  return results.find(result => result.category_key === category.name);
+}
+
+// "120 Mbps" style detail for a result, from the category's reportDetail ('' when there's none)
+function formatCategoryDetail(category, result) {
+  const detail = category.reportDetail;
+  if (!detail || !result || result[detail.field] === null || result[detail.field] === undefined) {
+    return '';
+  }
+  return `${result[detail.field]}${detail.unit ? ` ${detail.unit}` : ''}`;
+}
+
+// Per-tier USD prices on a locationTiers result:
+// result.location_tiers = { city_center: { usd_amount, best_case_usd_amount, neighborhoods: [{ name, usd_amount }] }, ... }
+// Tier amounts are in the result's own currency, so they're converted at the same rate as its main amount.
+// A tier without its own figure uses the median of its neighborhoods; best case is the cheapest of them.
+function applyLocationTiers(result, category) {
+  if (!category.locationTiers) {
+    return result;
+  }
+
+  result.location_tiers = {};
+  const usdPerUnit = result.amount > 0 && result.usd_amount > 0 ? result.usd_amount / result.amount : null;
+  if (!usdPerUnit) {
+    return result;
+  }
+  const toUSD = amount => typeof amount === 'number' && amount > 0 ? Math.round(amount * usdPerUnit * 100) / 100 : null;
+
+  Object.keys(LOCATION_TIERS).forEach(tier => {
+    const neighborhoods = (result.neighborhoods || [])
+      .filter(neighborhood => neighborhood.tier === tier)
+      .map(neighborhood => ({ name: neighborhood.name, usd_amount: toUSD(neighborhood.amount) }))
+      .filter(neighborhood => neighborhood.usd_amount)
+      .sort((a, b) => a.usd_amount - b.usd_amount);
+
+    const median = neighborhoods.length > 0 ? neighborhoods[Math.floor((neighborhoods.length - 1) / 2)].usd_amount : null;
+    const typical = toUSD(result[`${tier}_amount`]) ?? median;
+    if (!typical) {
+      return;
+    }
+
+    result.location_tiers[tier] = {
+      usd_amount: typical,
+      best_case_usd_amount: Math.min(typical, ...neighborhoods.map(neighborhood => neighborhood.usd_amount)),
+      neighborhoods
+    };
+  });
+
+  return result;
+}
+
+// Household amounts that count toward the monthly total
+function sumIncludedCosts(results, categories) {
+  return categories
+    .filter(category => category.includeInTotal)
+    .map(category => findCategoryResult(results, category))
+    .filter(result => result && result.usd_amount)
+    .reduce((sum, result) => sum + getHouseholdAmount(result), 0);
+}
+
+module.exports = {
+  LOCATION_TIERS,
+  getAllCostCategories,
+  getCostCategories,
+  getActiveProfile,
+  validateCostCategories,
+  validateProfile,
+  applyHouseholdQuantity,
+  getHouseholdAmount,
+  getHouseholdFactor,
+  formatHouseholdQuantity,
+  applyLocationTiers,
+  getPromptHints,
+  buildExtraSchemaFields,
+  fillSearchTemplate,
+  findCategoryResult,
+  formatCategoryDetail,
+  sumIncludedCosts
+};
@@ -2,45 +2,39 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../../.env') }); // adjust this path to your .env file
 
 const CONFIG = {
+  // Search provider used by search.js: 'bright_data' (default), 'json_endpoint' (any JSON SERP API)
+  // or 'mock' (local stand-in serving canned results, started automatically by main.js)
+  searchProvider: process.env.SEARCH_PROVIDER || 'bright_data',
+
+  // Bright Data SERP API
   customerId: process.env.BRIGHT_DATA_CUSTOMER_ID,
   zone: process.env.BRIGHT_DATA_ZONE,
   password: process.env.BRIGHT_DATA_PASSWORD,
   proxyHost: 'brd.superproxy.io',
   proxyPort: 33335,
+
+  // Generic JSON SERP endpoint (searchProvider: 'json_endpoint')
+  jsonEndpoint: {
+    url: process.env.SERP_ENDPOINT_URL,
+    apiKey: process.env.SERP_ENDPOINT_API_KEY,
+    queryParam: 'q'
+  },
+
+  // Local mock search server (searchProvider: 'mock')
+  mockSearch: {
+    port: 4010
+  },
   
   // Budget for analysis (in USD per month)
   monthlyBudgetUSD: 2000,
   
-  // PPP data for cities/countries we're covering. 
-  // Hardcoded for now, but in production, getPPPFactor() in scoring.js should use an FX API to get this
-  ppp: [
-    {
-      "country": "Germany",
-      "value": 0.721158,
-      "year": "2019"
-    },
-    {
-      "country": "Portugal",
-      "value": 0.547768,
-      "year": "2019"
-    },
-    {
-      "country": "Thailand",
-      "value": 12.5736324625,
-      "year": "2019"
-    },
-    {
-      "country": "Indonesia",
-      "value": 4743.33744682,
-      "year": "2019"
-    },
-    {
-      "country": "United States",
-      "value": 1.0,
-      "year": "2019"
-    }
-  ],
-  // Cities we're covering. Should be dynamic in production.
+  // PPP lookup (ppp.js, World Bank factors in datasets/ppp.json).
+  // year: use that year's factors (or the closest earlier one); null = latest available per country
+  ppp: {
+    year: process.env.PPP_YEAR ? parseInt(process.env.PPP_YEAR, 10) : null
+  },
+  // Default cities to cover; --cities / --cities-file replace these.
+  // Every entry is resolved through the offline gazetteer (gazetteer.js) before the agents start.
   cities: [
     { name: 'Lisbon', country: 'Portugal' },
     { name: 'Austin', country: 'United States' },
@@ -49,46 +43,335 @@ const CONFIG = {
     { name: 'Bangkok', country: 'Thailand' }
   ],
   // Cost categories we're looking at to judge a city's remote work suitability. 
+  // Each entry is all it takes to add a category (see categories.js for the defaults):
+  // - searchTemplate: the category's own query, used by the 'category_template' strategy ({city}, {country} and {category} are filled in)
+  // - pageKeywords: price-table rows to keep when page fetching is on
+  // - promptHints: extra extraction instructions for the LLM
+  // - extraFields: extra extraction schema fields, as { field: { type: 'number' | 'boolean' | 'string', min, max, description } }
+  // - includeInTotal: whether the amount counts toward the monthly total and budget (default true)
+  // - scoring: which remote work score factor(s) it feeds ('cost_of_living', { hook: 'internet_quality', field: ... }, or a list); null = none
+  // - reportDetail: an extra field shown next to the amount in reports, as { field, unit }
+  // - locationTiers: extract city center / outside center prices (and named neighborhoods) separately, for rent
+  // - plausibleRange: { min, max } USD/month per unit at US prices, scaled by the country's price level (see validation)
   costCategories: [
     {
       name: 'rent_1br',
       displayName: '1BR Apartment Rent',
-      searchTemplate: 'average rent 1 bedroom apartment {city} site:numbeo.com OR site:expatistan.com'
+      searchTemplate: 'average rent 1 bedroom apartment {city} {country} site:numbeo.com OR site:expatistan.com',
+      pageKeywords: ['apartment', 'rent'],
+      locationTiers: true,
+      plausibleRange: { min: 200, max: 8000 },
+      scoring: 'cost_of_living'
+    },
+    {
+      name: 'rent_3br',
+      displayName: '3BR Apartment Rent',
+      searchTemplate: 'average rent 3 bedroom apartment {city} {country} site:numbeo.com OR site:expatistan.com',
+      pageKeywords: ['apartment', 'rent'],
+      locationTiers: true,
+      plausibleRange: { min: 400, max: 15000 },
+      scoring: 'cost_of_living'
     },
     {
       name: 'groceries',
       displayName: 'Monthly Groceries',
-      searchTemplate: 'average monthly grocery cost {city} site:numbeo.com OR site:expatistan.com'
+      searchTemplate: 'average monthly grocery cost {city} {country} site:numbeo.com OR site:expatistan.com',
+      pageKeywords: ['milk', 'bread', 'rice', 'eggs', 'cheese', 'chicken', 'beef', 'apples', 'banana', 'oranges', 'tomato', 'potato', 'onion', 'lettuce', 'water', 'groceries'],
+      plausibleRange: { min: 80, max: 1500 },
+      scoring: 'cost_of_living'
     },
     {
       name: 'transportation',
       displayName: 'Public Transportation Monthly Pass',
-      searchTemplate: 'public transportation monthly pass cost {city} site:numbeo.com OR site:expatistan.com'
+      searchTemplate: 'public transportation monthly pass cost {city} {country} site:numbeo.com OR site:expatistan.com',
+      pageKeywords: ['monthly pass', 'one-way ticket', 'public transport', 'ticket'],
+      plausibleRange: { min: 5, max: 300 }
     },
     {
       name: 'utilities',
       displayName: 'Monthly Utilities',
-      searchTemplate: 'monthly utilities electricity water gas cost {city} site:numbeo.com OR site:expatistan.com'
+      searchTemplate: 'monthly utilities electricity water gas cost {city} {country} site:numbeo.com OR site:expatistan.com',
+      pageKeywords: ['utilities', 'electricity', 'heating', 'garbage'],
+      plausibleRange: { min: 15, max: 700 },
+      scoring: 'cost_of_living'
     },
     {
       name: 'internet',
       displayName: 'Internet Speed & Cost',
-      searchTemplate: 'average internet speed cost fiber broadband {city} site:numbeo.com OR site:expatistan.com OR site:speedtest.net'
+      searchTemplate: 'average internet speed cost fiber broadband {city} {country} site:numbeo.com OR site:expatistan.com OR site:speedtest.net',
+      pageKeywords: ['internet', 'mbps', 'broadband'],
+      promptHints: [
+        'Extract internet speed in Mbps (look for download speeds)',
+        'Rate internet reliability on a scale of 0-100 based on user reviews/reports',
+        'Determine if fiber internet is widely available (true/false)',
+        'Look for monthly internet package costs (not daily or hourly rates)',
+        'Prioritize Numbeo, Speedtest.net data, ISP websites, and user reviews'
+      ],
+      extraFields: {
+        internet_speed_mbps: { type: 'number' },
+        internet_reliability_score: { type: 'number', min: 0, max: 100 },
+        fiber_availability: { type: 'boolean' }
+      },
+      plausibleRange: { min: 5, max: 250 },
+      scoring: [
+        { hook: 'internet_quality', field: 'internet_speed_mbps' },
+        { hook: 'internet_reliability', field: 'internet_reliability_score' },
+        { hook: 'fiber_availability', field: 'fiber_availability' }
+      ],
+      reportDetail: { field: 'internet_speed_mbps', unit: 'Mbps' }
+    },
+    {
+      name: 'school_fees',
+      displayName: 'International School Fees',
+      searchTemplate: 'international school tuition fees per year {city} {country}',
+      promptHints: [
+        'Report the MONTHLY fee for one child: if only annual tuition is given, divide it by 12 (and say so in notes)',
+        'Use a mid-range international or bilingual primary school, not the most expensive one'
+      ],
+      plausibleRange: { min: 50, max: 5000 }
     }
+    // e.g. a coworking membership:
+    // {
+    //   name: 'coworking',
+    //   displayName: 'Coworking Membership',
+    //   searchTemplate: 'coworking space monthly membership price {city} {country}',
+    //   promptHints: ['Look for monthly hot-desk membership prices, not day passes'],
+    //   includeInTotal: true,
+    //   scoring: 'coworking_cost'
+    // }
   ],
   
-  // Remote Work Scoring Weights. 
-  // Currently a 70-30 split between just two, but you should add more categories and adjust the weights accordingly.
+  // LLM backend per task: 'extraction' (per-category cost extraction), 'summary' (remote work summary)
+  // and 'reflection' (the search plan written between iterations).
+  // provider: 'openai' (uses OPENAI_API_KEY) or 'openai_compatible' (any OpenAI-compatible server, e.g. llama.cpp or Ollama; needs baseURL).
+  // mode: optional generateObject mode ('json' or 'tool') for servers that only support one of them.
+  llm: {
+    extraction: {
+      provider: process.env.LLM_EXTRACTION_PROVIDER || process.env.LLM_PROVIDER || 'openai',
+      model: process.env.LLM_EXTRACTION_MODEL || process.env.LLM_MODEL || 'gpt-4o-mini',
+      baseURL: process.env.LLM_EXTRACTION_BASE_URL || process.env.LLM_BASE_URL,
+      apiKey: process.env.LLM_API_KEY,
+      mode: process.env.LLM_OBJECT_MODE
+    },
+    summary: {
+      provider: process.env.LLM_SUMMARY_PROVIDER || process.env.LLM_PROVIDER || 'openai',
+      model: process.env.LLM_SUMMARY_MODEL || process.env.LLM_MODEL || 'gpt-4o-mini',
+      baseURL: process.env.LLM_SUMMARY_BASE_URL || process.env.LLM_BASE_URL,
+      apiKey: process.env.LLM_API_KEY,
+      mode: process.env.LLM_OBJECT_MODE
+    },
+    reflection: {
+      provider: process.env.LLM_REFLECTION_PROVIDER || process.env.LLM_PROVIDER || 'openai',
+      model: process.env.LLM_REFLECTION_MODEL || process.env.LLM_MODEL || 'gpt-4o-mini',
+      baseURL: process.env.LLM_REFLECTION_BASE_URL || process.env.LLM_BASE_URL,
+      apiKey: process.env.LLM_API_KEY,
+      mode: process.env.LLM_OBJECT_MODE
+    }
+  },
+
+  // Extra search strategies, on top of the built-ins in strategies.js. Each one needs a name and a queryTemplate
+  // ({city}, {country}, {category} = display name, {category_name}); `sites` are appended as site: filters.
+  // confidenceModifier (default 1.0) scales the confidence of what it finds, priority (0-100, default 50; multi_source
+  // is 70, expat_forums 10) decides when it's tried, and appliesTo limits it to some categories and/or countries.
+  // strategyPlugins: paths to modules exporting the same kind of definition (or a list), optionally with a
+  // buildQuery(city, country, category) function instead of a template. Everything is validated at startup.
+  strategies: [
+    // e.g. a national statistics office:
+    // {
+    //   name: 'ine_portugal',
+    //   description: 'Statistics Portugal (INE)',
+    //   queryTemplate: '{category} preço médio {city}',
+    //   sites: ['ine.pt'],
+    //   confidenceModifier: 1.2,
+    //   priority: 80,
+    //   appliesTo: { countries: ['PT'], categories: ['rent_1br', 'rent_3br', 'utilities'] }
+    // }
+  ],
+  strategyPlugins: [], // e.g. ['./strategies/idealista.js']
+  strategyPriorityWeight: 0.5, // how much declared priority counts next to learned performance (strategy memory)
+
+  // Persistent strategy memory (memory.js): success rate and average confidence per strategy × category × country/region,
+  // saved after every agent (file defaults to <dataDir>/strategy_memory.json). selectStrategy ranks strategies by
+  // smoothed success rate + explorationWeight × an exploration bonus; a country with little history leans on its region's
+  // stats at regionWeight. Disable with --no-strategy-memory; `node main.js strategies` prints what's been learned.
+  strategyMemory: {
+    enabled: true,
+    file: null,
+    regionWeight: 0.5,
+    priorSuccessRate: 0.5, // what an untried strategy is assumed to achieve
+    priorStrength: 2, // how many attempts that assumption is worth
+    explorationWeight: 0.3
+  },
+
+  // Reflection between iterations: the model sees every category's confidence, the queries tried and the snippets
+  // that came back, and writes the next iteration's plan (new query text and target domains per category, or leave
+  // it alone). Without llmPlanning, or when the call fails, low-confidence categories just move on to the next strategy.
+  reflection: {
+    llmPlanning: true,
+    maxSnippets: 5, // snippets shown per category
+    maxDomains: 3, // target domains kept per planned query
+    maxQueryLength: 200
+  },
+
+  // Currency conversion: usd_amount is computed from amount + currency with the exchange-rate table
+  // (datasets/exchange_rates.json, or a newer one fetched with `node main.js refresh-rates`)
+  exchangeRates: {
+    provider: process.env.EXCHANGE_RATES_PROVIDER || 'open_er_api', // provider used by refresh-rates: open_er_api, json_url or bundled
+    url: process.env.EXCHANGE_RATES_URL, // for provider 'json_url'
+    disagreementThreshold: 0.25 // flag results where the model's own USD conversion is off by more than 25%
+  },
+
+  // Source reliability (sources.js): every SERP result is scored from its domain's trust (a built-in registry plus
+  // `domains`; government sites get governmentTrust, unknown ones defaultTrust, SEO content farms contentFarmTrust),
+  // the newest date in its snippet (full marks up to freshYears old, down to minFreshness at staleYears) and how many
+  // results from the same domain came before it (× duplicatePenalty each). data_quality_score is built on these, and
+  // each extracted value's confidence is scaled by 1 ± confidenceWeight × its cited source's trust distance from defaultTrust.
+  sourceReliability: {
+    domains: {}, // e.g. { 'ine.pt': 0.9 } or { 'ine.pt': { trust: 0.9, type: 'statistics' } }
+    defaultTrust: 0.5,
+    governmentTrust: 0.85,
+    contentFarmTrust: 0.2,
+    duplicatePenalty: 0.5,
+    freshYears: 1,
+    staleYears: 4,
+    minFreshness: 0.6,
+    undatedFreshness: 0.85, // snippets without a date
+    confidenceWeight: 0.4,
+    reportDomains: 3 // contributing domains listed per category in the report
+  },
+
+  // Data freshness (freshness.js): each value's as-of date is the extraction's as_of_date, else its cited source's SERP
+  // result date or snippet date. Confidence loses ageDiscountPerYear per year past graceYears (down to minFactor),
+  // and values more than staleYears old are flagged stale. With cpiAdjust (--cpi-adjust), figures from an earlier year
+  // are brought forward by the country's CPI inflation up to the exchange table's date (datasets/cpi.json; countries
+  // without data stay as found, and inflation past the table's latest year isn't estimated).
+  freshness: {
+    enabled: true,
+    graceYears: 1,
+    ageDiscountPerYear: 0.1,
+    minFactor: 0.5,
+    staleYears: 3,
+    cpiAdjust: false
+  },
+
+  // Sanity checks on extracted costs (validation.js): each category's plausibleRange, plus these cross-category
+  // ratios (category amount / reference amount, when both were found). A failing result is re-extracted once with
+  // a corrective prompt (reextract); if it still fails it's rejected and left out of the totals.
+  validation: {
+    enabled: true,
+    reextract: true,
+    ratios: [
+      { category: 'utilities', reference: 'rent_1br', max: 0.6, description: 'utilities should be well below rent' },
+      { category: 'utilities', reference: 'rent_3br', max: 0.6, description: 'utilities should be well below rent' },
+      { category: 'transportation', reference: 'rent_1br', max: 0.6, description: 'a transit pass should cost well under rent' },
+      { category: 'internet', reference: 'rent_1br', max: 0.5, description: 'internet should cost well under rent' },
+      { category: 'rent_1br', reference: 'rent_3br', max: 1, description: 'a 1BR should not cost more than a 3BR' }
+    ]
+  },
+
+  // Multi-source triangulation (triangulation.js): besides the strategy selectStrategy picks, each category is
+  // also searched with up to extraStrategies more from `strategies` (in order, skipping the primary and failed ones).
+  // Every source's value is a candidate; outliers more than outlierRatio× off the weighted median are dropped and the
+  // rest reconciled with `method` ('weighted_median' or 'trimmed_mean'). Disable with --no-triangulate.
+  triangulation: {
+    enabled: true,
+    extraStrategies: 2,
+    strategies: ['numbeo_focused', 'expatistan_focused', 'multi_source', 'category_template'],
+    method: 'weighted_median',
+    trimFraction: 0.2, // for 'trimmed_mean': share of candidates dropped from each end
+    outlierRatio: 2,
+    maxDispersion: 0.5, // mean deviation from the value at which agreement counts as zero
+    agreementWeight: 0.5 // share of confidence that comes from agreement (with 3+ kept sources)
+  },
+
+  // Low / typical / high ranges (ranges.js). Results without a sourced range get ±(100 - confidence)%,
+  // at least minSpread. Budget verdicts that flip inside the range and rest on a category below
+  // lowConfidenceThreshold are flagged in the report.
+  valueRanges: {
+    minSpread: 0.05,
+    lowConfidenceThreshold: 60
+  },
+
+  // Household profiles (--profile <name>). Each one lists the categories it needs with how many of each:
+  // quantity = how many units (2 transit passes, 2 school places), multiplier = scaling for a bigger household
+  // (e.g. utilities for a larger apartment). A bare number is shorthand for { quantity: n }.
+  // Monthly totals and budget fit use usd_amount × quantity × multiplier.
+  profile: 'single',
+  profiles: {
+    single: {
+      displayName: 'Single remote worker',
+      description: 'One person in a 1BR apartment',
+      householdSize: 1,
+      categories: { rent_1br: 1, groceries: 1, transportation: 1, utilities: 1, internet: 1 }
+    },
+    couple: {
+      displayName: 'Couple',
+      description: 'Two adults sharing a 1BR apartment',
+      householdSize: 2,
+      categories: {
+        rent_1br: 1,
+        groceries: 2,
+        transportation: 2,
+        utilities: { quantity: 1, multiplier: 1.3 },
+        internet: 1
+      }
+    },
+    family_of_four: {
+      displayName: 'Family of four',
+      description: 'Two adults and two school-age children in a 3BR apartment',
+      householdSize: 4,
+      categories: {
+        rent_3br: 1,
+        groceries: 4,
+        transportation: 2,
+        utilities: { quantity: 1, multiplier: 1.8 },
+        internet: 1,
+        school_fees: 2
+      }
+    }
+  },
+
+  // Remote Work Scoring Weights, one per factor in SCORING_FACTORS (scoring.js). The score is the weighted average of
+  // the factors that have data (the others' weights are rescaled), each put on a 0-100 curve. Categories feed factors
+  // through their `scoring` in costCategories; timezone_overlap needs scoringFactors.targetTimezone; visa_ease and
+  // safety come from a category field or scoringFactors.countryScores. Override per run with --weights name=value,...
   remoteWorkWeights: {
-    cost_of_living: 0.70,
-    internet_quality: 0.30,
+    cost_of_living: 0.50,
+    internet_quality: 0.20,
+    internet_reliability: 0.10,
+    fiber_availability: 0.05,
+    timezone_overlap: 0.15,
+    visa_ease: 0.10,
+    safety: 0.10,
+    coworking_cost: 0.05
+  },
+  scoringFactors: {
+    targetTimezone: null, // IANA zone to overlap working hours with, e.g. 'America/New_York' (--target-timezone)
+    workingHours: { start: 9, end: 17 }, // local working day, in both the city and the target zone
+    countryScores: {}, // 0-100 per country (name or ISO code), e.g. { PT: { visa_ease: 85, safety: 80 } }
+    curves: {} // curve overrides per factor, e.g. { cost_of_living: { min: 800, max: 4000 } }
   },
   maxResults: 25, // max number of results to return from SERP API search
+
+  // Page-fetching perception (--fetch-pages): fetch top trusted result pages and pass their price tables to the LLM
+  pageFetch: {
+    enabled: false,
+    maxPages: 2, // pages fetched per category
+    maxCharsPerPage: 4000, // size cap on the evidence text taken from each page
+    timeoutMs: 15000
+  },
   dataDir: 'data', // directory to save data (markdown report) to   
   cacheDir: 'cache', // directory to save cache to
+  fixturesDir: 'fixtures', // default parent directory for --record fixture sets
+  recordDir: null, // set by --record: directory to record SERP/LLM fixtures to
+  replayDir: null, // set by --replay <dir>: serve SERP/LLM results from this fixture set instead of the network
+  replayModels: null, // set by --replay from the manifest: the model each LLM task was recorded with (LLM fixture keys)
+  referenceDate: null, // the run's "today" (ISO timestamp) that values are dated against; set by main.js, from recorded_at in a replay
   delayBetweenRequests: 2000, // delay between requests to avoid overwhelming the API; 2 seconds is probably too cautious
-  confidenceThreshold: 70, // confidence threshold for a city
-  cacheExpiryDays: 7 // cache expiry days
+  confidenceThreshold: 70, // confidence threshold for a category; below it a category counts as low-confidence when planning a retry
+  cacheExpiryDays: 7, // TTL in days stamped on each new cache entry
+  llmCacheEnabled: true, // cache LLM extractions/summaries keyed by model + schema + prompt (disable with --no-llm-cache)
+  llmCacheExpiryDays: 30 // TTL in days for cached LLM results
 };
 
 module.exports = CONFIG; 
\ No newline at end of file
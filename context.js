@@ -1,10 +1,16 @@
 // Agent Context - Simple state management for each agent
 // FYI: you should have per agent tracing here in production  
-function createAgentContext(cityObj) {
+// referenceDate: the run's "today" (CONFIG.referenceDate), defaulting to now
+function createAgentContext(cityObj, referenceDate = null) {
   return {
     // Basic city info
     city: cityObj.name,
     country: cityObj.country,
+    country_code: cityObj.country_code || null, // ISO alpha-2, set when the city came through the gazetteer
+    timezone: cityObj.timezone || null,
+
+    // What the age of every value and the time-zone offsets are taken at (the recording's date in a replay)
+    reference_date: referenceDate || new Date().toISOString(),
 
     // Phase results
     perception: null,
@@ -19,7 +25,8 @@ function createAgentContext(cityObj) {
       max_iterations: 3,
       confidence: 0,
       completeness: 0,
-      goals_met: false
+      goals_met: false,
+      current_plan: null // the reflection step's search plan for the next iteration
     },
 
     // Goals
@@ -35,11 +42,14 @@ function createAgentContext(cityObj) {
      * - Avoid repeating failed strategies within the same session
      * - Prefer previously successful strategies for specific categories
      * - Adapt its approach across iterations (up to 3 per session)
+     * - Show the reflection step which queries were already tried, and keep every plan it wrote
      */
     memory: {
       attempted_strategies: [],
       failed_strategies_by_category: {},    // per-category failures
       successful_strategies_by_category: {}, // per-category successes
+      queries_by_category: {},              // every primary query searched, per category
+      search_plans: [],                     // reflection plans, one per retry
       category_patterns: {}
     },
 
@@ -79,17 +89,20 @@ function evaluateGoals(context) {
     completeness_met,
     min_acceptable,
     goals_met: context.state.goals_met,
-    should_retry: !context.state.goals_met && context.state.iteration < context.state.max_iterations && min_acceptable
+    // Only while there's an iteration left to run, so no search plan is written for a pass that never happens
+    should_retry: !context.state.goals_met && context.state.iteration + 1 < context.state.max_iterations && min_acceptable
   };
 }
 
-// Record the strategy that was attempted, whether it was successful, and the confidence in the result
-function recordStrategy(context, strategyName, category, success, confidence = 0) {
+// Record the strategy that was attempted, whether it was successful, and the confidence in the result.
+// dataSource is where its search results came from (fresh_serp_call, cached_data, replay_fixture)
+function recordStrategy(context, strategyName, category, success, confidence = 0, dataSource = null) {
   context.memory.attempted_strategies.push({
     strategy: strategyName,
     category,
     success,
     confidence,
+    data_source: dataSource,
     iteration: context.state.iteration,
     timestamp: new Date().toISOString()
   });
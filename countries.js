@@ -0,0 +1,42 @@
+// Country lookup by name, alias or ISO code, backed by datasets/countries.json
+// (ISO 3166-1 alpha-2/alpha-3 codes, ISO 4217 currency and World Bank region for every country)
+const { countries: COUNTRIES } = require('./datasets/countries.json');
+
+// "Côte d'Ivoire" -> "cotedivoire", "U.S.A." -> "usa"
+function normalizeName(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+let countryIndex = null;
+
+function getCountryIndex() {
+  if (!countryIndex) {
+    countryIndex = new Map();
+    // Codes first so that names and aliases win any collision
+    COUNTRIES.forEach(country => {
+      countryIndex.set(normalizeName(country.iso2), country);
+      countryIndex.set(normalizeName(country.iso3), country);
+    });
+    COUNTRIES.forEach(country => {
+      [country.name, ...country.aliases].forEach(name => countryIndex.set(normalizeName(name), country));
+    });
+  }
+  return countryIndex;
+}
+
+function findCountry(nameOrCode) {
+  if (!nameOrCode) {
+    return null;
+  }
+  return getCountryIndex().get(normalizeName(nameOrCode)) || null;
+}
+
+module.exports = {
+  COUNTRIES,
+  findCountry,
+  normalizeName
+};
\ No newline at end of file
@@ -0,0 +1,224 @@
+// Currency conversion - computes usd_amount from the extracted amount + currency using a dated
+// exchange-rate table, instead of trusting the LLM's own "Convert to USD if possible" guess.
+// The bundled table (datasets/exchange_rates.json) can be refreshed from a pluggable provider;
+// refreshed tables are written to the cache dir and win over the bundled one when newer.
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const BUNDLED_RATES = require('./datasets/exchange_rates.json');
+const { findCountry } = require('./countries');
+
+// Symbols and words seen in price text / LLM output, mapped to ISO 4217 codes.
+// Order matters: longer, more specific markers ("R$", "HK$") are checked before a bare "$".
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['R$', 'BRL'], ['HK$', 'HKD'], ['S$', 'SGD'], ['A$', 'AUD'], ['C$', 'CAD'], ['NZ$', 'NZD'], ['MX$', 'MXN'],
+  ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['฿', 'THB'], ['₫', 'VND'], ['₱', 'PHP'], ['₩', 'KRW'], ['₺', 'TRY'],
+  ['₽', 'RUB'], ['₴', 'UAH'], ['₾', 'GEL'], ['₪', 'ILS'], ['zł', 'PLN'], ['Kč', 'CZK'], ['RM', 'MYR'], ['Rp', 'IDR'],
+  ['us dollar', 'USD'], ['euro', 'EUR'], ['pound', 'GBP'], ['baht', 'THB'], ['rupiah', 'IDR'], ['dong', 'VND'], ['peso', null], ['dollar', null],
+  ['¥', null], ['$', null]
+];
+
+// Currencies written with a bare "$" / "¥" / "peso" / "dollar": resolve to the country's own currency when it's one of these
+const AMBIGUOUS_SYMBOL_CURRENCIES = {
+  '$': ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'HKD', 'TWD', 'MXN', 'ARS', 'CLP', 'COP', 'UYU'],
+  'dollar': ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'HKD', 'TWD'],
+  'peso': ['MXN', 'ARS', 'CLP', 'COP', 'UYU', 'PHP', 'DOP', 'CUP'],
+  '¥': ['JPY', 'CNY']
+};
+
+// Rate providers for `node main.js refresh-rates`. Each resolves to { base, as_of, source, rates }.
+const RATE_PROVIDERS = {
+  bundled: {
+    name: 'bundled',
+    description: 'The table shipped in datasets/exchange_rates.json',
+    fetchRates: async () => BUNDLED_RATES
+  },
+
+  open_er_api: {
+    name: 'open_er_api',
+    description: 'open.er-api.com daily USD rates (no key needed)',
+    fetchRates: async () => {
+      const response = await fetch('https://open.er-api.com/v6/latest/USD');
+      if (!response.ok) {
+        throw new Error(`HTTP error! Status: ${response.status} - ${response.statusText}`);
+      }
+      const data = await response.json();
+      return {
+        base: 'USD',
+        as_of: new Date(data.time_last_update_utc).toISOString().slice(0, 10),
+        source: 'open.er-api.com',
+        rates: data.rates
+      };
+    }
+  },
+
+  json_url: {
+    name: 'json_url',
+    description: 'Any URL returning { rates, date } with USD as base (EXCHANGE_RATES_URL)',
+    fetchRates: async (config) => {
+      if (!config.exchangeRates.url) {
+        throw new Error('No exchange rates URL configured (EXCHANGE_RATES_URL)');
+      }
+      const response = await fetch(config.exchangeRates.url);
+      if (!response.ok) {
+        throw new Error(`HTTP error! Status: ${response.status} - ${response.statusText}`);
+      }
+      const data = await response.json();
+      return {
+        base: 'USD',
+        as_of: data.date || data.as_of || new Date().toISOString().slice(0, 10),
+        source: config.exchangeRates.url,
+        rates: data.rates
+      };
+    }
+  }
+};
+
+function getRefreshedRatesPath(cacheDir = 'cache') {
+  return path.join(cacheDir, 'exchange_rates.json');
+}
+
+let loadedRates = null;
+
+// The newest available table: a refreshed one from the cache dir if it's newer than the bundled one
+function loadExchangeRates(config) {
+  if (loadedRates) {
+    return loadedRates;
+  }
+
+  loadedRates = BUNDLED_RATES;
+  try {
+    const refreshedPath = getRefreshedRatesPath(config.cacheDir);
+    if (fs.existsSync(refreshedPath)) {
+      const refreshed = JSON.parse(fs.readFileSync(refreshedPath, 'utf8'));
+      if (refreshed.as_of > BUNDLED_RATES.as_of) {
+        loadedRates = refreshed;
+      }
+    }
+  } catch (error) {
+    loadedRates = BUNDLED_RATES;
+  }
+
+  return loadedRates;
+}
+
+async function refreshExchangeRates(config, providerName = config.exchangeRates.provider) {
+  const provider = RATE_PROVIDERS[providerName];
+  if (!provider) {
+    throw new Error(`Unknown exchange rate provider: ${providerName} (available: ${Object.keys(RATE_PROVIDERS).join(', ')})`);
+  }
+
+  const table = await provider.fetchRates(config);
+  if (!table.rates || !table.rates.EUR) {
+    throw new Error(`Exchange rate provider ${providerName} returned no usable rates`);
+  }
+
+  const refreshedPath = getRefreshedRatesPath(config.cacheDir);
+  fs.mkdirSync(path.dirname(refreshedPath), { recursive: true });
+  fs.writeFileSync(refreshedPath, JSON.stringify(table, null, 2), 'utf8');
+
+  loadedRates = null;
+  return { path: refreshedPath, as_of: table.as_of, source: table.source, currencies: Object.keys(table.rates).length };
+}
+
+// Two-letter markers (RM, Rp) must be whole, case-sensitive tokens; currency words match case-insensitively
+function matchesMarker(text, marker) {
+  if (/^[A-Za-z]{2}$/.test(marker)) {
+    return new RegExp(`\\b${marker}(?![A-Za-z])`).test(text);
+  }
+  if (/^[a-z ]+$/.test(marker)) {
+    return text.toLowerCase().includes(marker);
+  }
+  return text.includes(marker);
+}
+
+// Turn whatever the source/LLM wrote ("EUR", "€", "US dollars", "$") into an ISO code.
+// Ambiguous symbols resolve to the city's own currency when it plausibly uses that symbol, else USD/JPY.
+function normalizeCurrency(currencyText, country = null) {
+  if (!currencyText) {
+    return null;
+  }
+
+  const text = String(currencyText).trim();
+  const code = text.toUpperCase();
+  if (/^[A-Z]{3}$/.test(code) && BUNDLED_RATES.rates[code] !== undefined) {
+    return code;
+  }
+
+  const symbol = CURRENCY_SYMBOLS.find(([marker]) => matchesMarker(text, marker));
+  if (!symbol) {
+    return null;
+  }
+
+  const [marker, isoCode] = symbol;
+  if (isoCode) {
+    return isoCode;
+  }
+
+  const countryCurrency = findCountry(country)?.currency;
+  const candidates = AMBIGUOUS_SYMBOL_CURRENCIES[marker] || [];
+  if (countryCurrency && candidates.includes(countryCurrency)) {
+    return countryCurrency;
+  }
+  return marker === '¥' ? 'JPY' : marker === 'peso' ? null : 'USD';
+}
+
+// Convert an amount in an ISO currency to USD. Returns null when the currency isn't in the table.
+function convertToUSD(amount, currency, config) {
+  const table = loadExchangeRates(config);
+  const rate = table.rates[currency];
+  if (typeof amount !== 'number' || !rate) {
+    return null;
+  }
+
+  return {
+    usd_amount: Math.round((amount / rate) * 100) / 100,
+    rate_per_usd: rate,
+    as_of: table.as_of,
+    source: table.source
+  };
+}
+
+// Recompute usd_amount on an extracted cost result from its amount + currency.
+// Keeps the model's own figure as llm_usd_amount, flags large disagreements, and stores the rate used.
+function applyCurrencyConversion(result, country, config) {
+  const currency = normalizeCurrency(result.currency, country);
+  const conversion = currency ? convertToUSD(result.amount, currency, config) : null;
+
+  result.llm_usd_amount = result.value_source === 'llm' ? result.usd_amount : null;
+
+  if (!conversion) {
+    result.exchange_rate = null;
+    result.usd_source = result.usd_amount ? 'llm' : null;
+    return result;
+  }
+
+  result.currency = currency;
+  result.usd_amount = conversion.usd_amount;
+  result.usd_source = currency === 'USD' ? 'source' : 'exchange_table';
+  result.exchange_rate = {
+    currency: currency,
+    rate_per_usd: conversion.rate_per_usd,
+    as_of: conversion.as_of,
+    source: conversion.source
+  };
+
+  // Large gaps usually mean the model used a stale rate, the wrong currency, or converted a different figure
+  if (result.llm_usd_amount > 0 && conversion.usd_amount > 0) {
+    const difference = Math.abs(result.llm_usd_amount - conversion.usd_amount) / conversion.usd_amount;
+    if (difference > config.exchangeRates.disagreementThreshold) {
+      result.conversion_warning = `Model converted to $${result.llm_usd_amount}, exchange table gives $${conversion.usd_amount} (${Math.round(difference * 100)}% apart)`;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  RATE_PROVIDERS,
+  loadExchangeRates,
+  refreshExchangeRates,
+  normalizeCurrency,
+  convertToUSD,
+  applyCurrencyConversion
+};
\ No newline at end of file
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Recorded fixture sets for offline runs (--record / --replay).
+ *
+ * A fixture directory looks like:
+ *   <dir>/manifest.json     - cities, budget, household profile and per-task LLM models of the recorded run
+ *   <dir>/serp/<hash>.json  - raw SERP responses, keyed by the query string
+ *   <dir>/pages/<hash>.json - fetched source pages (--fetch-pages), keyed by URL
+ *   <dir>/llm/<hash>.json   - generateObject results, keyed by the same model + schema + prompt hash as the LLM cache
+ *
+ * Replay serves these back through the normal perceive/reason code paths, so scoring.js and reports.js
+ * can be iterated on without Bright Data or OpenAI credentials. Every fixture a replay asks for and doesn't find is
+ * kept (getMissingFixtures), so main.js can fail the run instead of reporting on whatever was left.
+ */
+
+const missingFixtures = [];
+
+function getSerpFixturePath(fixtureDir, query) {
+  const queryHash = crypto.createHash('sha256').update(query).digest('hex');
+  return path.join(fixtureDir, 'serp', `${queryHash}.json`);
+}
+
+function getPageFixturePath(fixtureDir, url) {
+  const urlHash = crypto.createHash('sha256').update(url).digest('hex');
+  return path.join(fixtureDir, 'pages', `${urlHash}.json`);
+}
+
+function getLLMFixturePath(fixtureDir, cacheKey) {
+  return path.join(fixtureDir, 'llm', `${cacheKey}.json`);
+}
+
+function writeFixture(filePath, fixture) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2), 'utf8');
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to record fixture ${filePath}: ${error.message}`);
+    return false;
+  }
+}
+
+function readFixture(filePath, description) {
+  if (!fs.existsSync(filePath)) {
+    missingFixtures.push(description);
+    throw new Error(`No recorded fixture for ${description}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function recordSerpFixture(fixtureDir, query, searchData) {
+  return writeFixture(getSerpFixturePath(fixtureDir, query), {
+    query: query,
+    data: searchData
+  });
+}
+
+function loadSerpFixture(fixtureDir, query) {
+  return readFixture(getSerpFixturePath(fixtureDir, query), `SERP query: ${query}`).data;
+}
+
+function recordPageFixture(fixtureDir, url, html) {
+  return writeFixture(getPageFixturePath(fixtureDir, url), {
+    url: url,
+    html: html
+  });
+}
+
+function loadPageFixture(fixtureDir, url) {
+  return readFixture(getPageFixturePath(fixtureDir, url), `page: ${url}`).html;
+}
+
+function recordLLMFixture(fixtureDir, cacheKey, modelName, prompt, result) {
+  return writeFixture(getLLMFixturePath(fixtureDir, cacheKey), {
+    model: modelName,
+    prompt: prompt,
+    result: result
+  });
+}
+
+function loadLLMFixture(fixtureDir, cacheKey) {
+  return readFixture(getLLMFixturePath(fixtureDir, cacheKey), `LLM call ${cacheKey.slice(0, 12)}`).result;
+}
+
+function writeFixtureManifest(fixtureDir, manifest) {
+  return writeFixture(path.join(fixtureDir, 'manifest.json'), {
+    recorded_at: new Date().toISOString(),
+    ...manifest
+  });
+}
+
+// Descriptions of the fixtures this process asked for and didn't find
+function getMissingFixtures() {
+  return [...missingFixtures];
+}
+
+function readFixtureManifest(fixtureDir) {
+  const manifestPath = path.join(fixtureDir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+module.exports = {
+  recordSerpFixture,
+  loadSerpFixture,
+  recordPageFixture,
+  loadPageFixture,
+  recordLLMFixture,
+  loadLLMFixture,
+  writeFixtureManifest,
+  readFixtureManifest,
+  getMissingFixtures
+};
\ No newline at end of file
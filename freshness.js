@@ -0,0 +1,101 @@
+// Data freshness - how old each extracted value is, and what that does to it.
+// The as-of date is the extraction's as_of_date (what the sources say the figure is for), else the cited source's
+// SERP result date or snippet date (sources.js). Confidence loses ageDiscountPerYear for every year past graceYears,
+// values older than staleYears are flagged stale, and with cpiAdjust a figure from an earlier year is brought
+// forward by the country's CPI inflation since (datasets/cpi.json: World Bank FP.CPI.TOTL.ZG, keyed by ISO alpha-3).
+// Inflation runs up to the exchange table's date, not today: the adjusted amount is converted at that table's rates,
+// and inflation past it is already priced into them.
+const CPI_TABLE = require('./datasets/cpi.json');
+const { findCountry } = require('./countries');
+const { loadExchangeRates } = require('./currency');
+const { parseSnippetDate, formatAsOf, getAgeYears } = require('./sources');
+
+// Fields scaled by the CPI adjustment. The model's own usd_amount is scaled too, so the conversion check still compares like with like
+const AMOUNT_FIELDS = ['amount', 'low_amount', 'high_amount', 'usd_amount', 'city_center_amount', 'outside_center_amount'];
+
+// 1 up to graceYears old, then ageDiscountPerYear less per year, never below minFactor
+function getAgeFactor(ageYears, freshnessConfig) {
+  if (ageYears === null) {
+    return 1;
+  }
+  const discount = Math.max(0, ageYears - freshnessConfig.graceYears) * freshnessConfig.ageDiscountPerYear;
+  return Math.round(Math.max(freshnessConfig.minFactor, 1 - discount) * 100) / 100;
+}
+
+// Cumulative CPI inflation for a country from an as-of date to an end date (both { year, month }, a year-only date
+// counts from mid-year), as a multiplier. Each year's annual rate applies to the part of that year in between.
+// Inflation isn't guessed past the table: a period running beyond its latest year stops at the end of that year
+// (capped: true). Null without CPI data for the country or the period.
+function getCPIAdjustment(country, asOf, until) {
+  const countryEntry = findCountry(country);
+  const rates = countryEntry && CPI_TABLE.rates[countryEntry.iso3];
+  if (!rates) {
+    return null;
+  }
+
+  const tableYears = Object.keys(rates).map(Number).sort((a, b) => a - b);
+  const latestYear = tableYears[tableYears.length - 1];
+  const start = asOf.year + ((asOf.month || 7) - 1) / 12;
+  const requestedEnd = until.year + ((until.month || 7) - 1) / 12;
+  const end = Math.min(requestedEnd, latestYear + 1);
+  if (start >= end) {
+    return null;
+  }
+
+  let factor = 1;
+  for (let year = Math.floor(start); year < end; year++) {
+    if (rates[year] === undefined) {
+      return null;
+    }
+    factor *= Math.pow(1 + rates[year] / 100, Math.min(end, year + 1) - Math.max(start, year));
+  }
+
+  return {
+    factor: Math.round(factor * 1000) / 1000,
+    from: formatAsOf(asOf),
+    to: formatAsOf(until),
+    cpi_through: latestYear,
+    capped: requestedEnd > end
+  };
+}
+
+// Sets result.freshness = { as_of, as_of_source, age_years, factor, stale, cpi_adjustment } and, with cpiAdjust,
+// scales the result's amounts by CPI inflation from its as-of date to the exchange table's date. Run before currency
+// conversion, so usd_amount follows the adjusted amount. The caller applies freshness.factor to confidence.
+function applyFreshness(result, country, config, now = new Date()) {
+  const freshnessConfig = config.freshness;
+  const extracted = parseSnippetDate(result.as_of_date, now);
+  const asOf = extracted || parseSnippetDate(result.source_reliability?.as_of, now);
+  const ageYears = getAgeYears(asOf, now);
+
+  result.freshness = {
+    as_of: formatAsOf(asOf),
+    as_of_source: extracted ? 'extraction' : asOf ? result.source_reliability.as_of_source : null,
+    age_years: ageYears === null ? null : Math.round(ageYears * 10) / 10,
+    factor: getAgeFactor(ageYears, freshnessConfig),
+    stale: ageYears !== null && ageYears > freshnessConfig.staleYears,
+    cpi_adjustment: null
+  };
+
+  if (freshnessConfig.cpiAdjust && asOf && result.amount) {
+    const ratesDate = parseSnippetDate(loadExchangeRates(config).as_of, now);
+    const adjustment = ratesDate && getCPIAdjustment(country, asOf, ratesDate);
+    if (adjustment) {
+      AMOUNT_FIELDS.filter(field => typeof result[field] === 'number').forEach(field => {
+        result[field] = Math.round(result[field] * adjustment.factor * 100) / 100;
+      });
+      (result.neighborhoods || []).filter(neighborhood => typeof neighborhood.amount === 'number').forEach(neighborhood => {
+        neighborhood.amount = Math.round(neighborhood.amount * adjustment.factor * 100) / 100;
+      });
+      result.freshness.cpi_adjustment = adjustment;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  getAgeFactor,
+  getCPIAdjustment,
+  applyFreshness
+};
\ No newline at end of file
@@ -0,0 +1,216 @@
+// Offline city gazetteer backed by datasets/cities.json.
+// Resolves user-supplied cities ("Lisbon", "Portland, Maine", { name: 'Valencia', country: 'Spain' })
+// to a canonical { name, country, country_code, iso3, admin, timezone } before any agent starts,
+// so the country used for PPP and currency lookups is always one countries.json knows.
+const fs = require('fs');
+const path = require('path');
+const { cities: GAZETTEER } = require('./datasets/cities.json');
+const { findCountry, normalizeName } = require('./countries');
+
+// An ambiguous name resolves on its own when one candidate is this many times bigger than every other
+// (London, England vs London, Ontario). Closer calls like Portland need a qualifier.
+const DOMINANCE_RATIO = 10;
+
+let cityIndex = null;
+
+function getCityIndex() {
+  if (!cityIndex) {
+    cityIndex = new Map();
+    GAZETTEER.forEach(entry => {
+      [entry.name, ...entry.aliases].forEach(name => {
+        const key = normalizeName(name);
+        const entries = cityIndex.get(key) || [];
+        if (!entries.includes(entry)) {
+          entries.push(entry);
+        }
+        cityIndex.set(key, entries);
+      });
+    });
+  }
+  return cityIndex;
+}
+
+// A qualifier is either the city's country (name, alias or ISO code) or its state/region
+function matchesQualifier(entry, qualifier) {
+  const country = findCountry(qualifier);
+  if (country && country.iso2 === entry.country_code) {
+    return true;
+  }
+  return normalizeName(entry.admin) === normalizeName(qualifier);
+}
+
+function describeEntry(entry) {
+  return `${entry.name}, ${entry.admin}, ${findCountry(entry.country_code).name}`;
+}
+
+// Two gazetteer cities can share a name inside one country (Portland, Oregon / Portland, Maine);
+// those keep their region in the name so searches, cache entries and reports tell them apart
+function toResolvedCity(entry) {
+  const country = findCountry(entry.country_code);
+  const sameNameInCountry = getCityIndex().get(normalizeName(entry.name))
+    .filter(other => other.name === entry.name && other.country_code === entry.country_code);
+
+  return {
+    name: sameNameInCountry.length > 1 ? `${entry.name}, ${entry.admin}` : entry.name,
+    country: country.name,
+    country_code: country.iso2,
+    iso3: country.iso3,
+    admin: entry.admin,
+    timezone: entry.timezone
+  };
+}
+
+// "Portland, Maine" or { name: 'Portland', admin: 'Maine', country: 'United States' } -> name + qualifiers
+function parseCityInput(input) {
+  const fields = typeof input === 'string' ? [input] : [input.name, input.admin, input.country];
+  const [name, ...qualifiers] = fields
+    .filter(Boolean)
+    .flatMap(field => String(field).split(','))
+    .map(part => part.trim())
+    .filter(Boolean);
+  return { name: name || '', qualifiers };
+}
+
+// Resolve one city. Returns { city, warning } on success or { error } when the name is unknown or ambiguous.
+function resolveCity(input) {
+  const { name, qualifiers } = parseCityInput(input);
+  const label = [name, ...qualifiers].join(', ');
+  if (!name) {
+    return { error: `Empty city name: ${JSON.stringify(input)}` };
+  }
+
+  const candidates = (getCityIndex().get(normalizeName(name)) || [])
+    .filter(entry => qualifiers.every(qualifier => matchesQualifier(entry, qualifier)));
+
+  if (candidates.length === 1) {
+    return { city: toResolvedCity(candidates[0]) };
+  }
+
+  if (candidates.length > 1) {
+    const [largest, ...others] = [...candidates].sort((a, b) => b.population - a.population);
+    if (others.every(other => largest.population >= other.population * DOMINANCE_RATIO)) {
+      return {
+        city: toResolvedCity(largest),
+        warning: `"${label}" is ambiguous, using ${describeEntry(largest)} (also: ${others.map(describeEntry).join('; ')})`
+      };
+    }
+    return {
+      error: `"${label}" is ambiguous. Did you mean: ${candidates.map(c => `"${describeEntry(c)}"`).join(' or ')}?`
+    };
+  }
+
+  // Not in the gazetteer, but qualified with a known country: run it as-is rather than refusing
+  const country = qualifiers.length > 0 ? findCountry(qualifiers[qualifiers.length - 1]) : null;
+  if (country) {
+    return {
+      city: {
+        name: qualifiers.length > 1 ? `${name}, ${qualifiers.slice(0, -1).join(', ')}` : name,
+        country: country.name,
+        country_code: country.iso2,
+        iso3: country.iso3,
+        admin: qualifiers.length > 1 ? qualifiers[0] : null,
+        timezone: null
+      },
+      warning: `"${name}" is not in the gazetteer; using it as given in ${country.name}`
+    };
+  }
+
+  return {
+    error: qualifiers.length > 0 ?
+      `Unknown city "${label}" (neither the city nor "${qualifiers[qualifiers.length - 1]}" as a country is known)` :
+      `Unknown city "${name}". Add the country to use a city that's not in the gazetteer (e.g. "${name}, Portugal")`
+  };
+}
+
+// Resolve a whole city list up front, collecting every problem instead of stopping at the first one
+function resolveCities(inputs) {
+  const cities = [];
+  const errors = [];
+  const warnings = [];
+
+  inputs.forEach(input => {
+    const { city, warning, error } = resolveCity(input);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    if (warning) {
+      warnings.push(warning);
+    }
+    if (cities.some(c => c.name === city.name && c.country_code === city.country_code)) {
+      warnings.push(`${city.name}, ${city.country} is listed more than once; analyzing it once`);
+      return;
+    }
+    cities.push(city);
+  });
+
+  return { cities, errors, warnings };
+}
+
+// --cities "Lisbon,Porto,Tbilisi". Use ';' between cities when a city needs a qualifier: "Portland, Maine; Lisbon"
+function parseCitiesArg(value) {
+  const separator = value.includes(';') ? ';' : ',';
+  return value.split(separator).map(part => part.trim()).filter(Boolean);
+}
+
+// Split a CSV line, honouring double-quoted fields ("Portland, Maine")
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      field += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// --cities-file: JSON (an array of names or { name, country, admin } objects, optionally under "cities")
+// or CSV (name[,country[,admin]] columns; a header row naming the columns is optional)
+function readCitiesFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const data = JSON.parse(content);
+    const list = Array.isArray(data) ? data : data.cities;
+    if (!Array.isArray(list)) {
+      throw new Error(`${filePath} must contain an array of cities (or { "cities": [...] })`);
+    }
+    return list;
+  }
+
+  const rows = content.split(/\r?\n/).filter(line => line.trim()).map(parseCsvLine);
+  let columns = ['name', 'country', 'admin'];
+  if (rows.length > 0 && rows[0].map(c => c.toLowerCase()).includes('name')) {
+    columns = rows.shift().map(c => c.toLowerCase().replace(/^(state|region)$/, 'admin'));
+  }
+
+  return rows.map(row => {
+    const entry = {};
+    columns.forEach((column, index) => {
+      if (row[index]) {
+        entry[column] = row[index];
+      }
+    });
+    return entry;
+  });
+}
+
+module.exports = {
+  resolveCity,
+  resolveCities,
+  parseCitiesArg,
+  readCitiesFile
+};
\ No newline at end of file
@@ -17,22 +17,131 @@
  *
  * CACHE BENEFITS:
  * - Cached SERP data eliminates BrightData costs for repeat runs
- * - Cache expires after 7 days (of course, this is configurable in cache.js)
- * - For now, OpenAI costs remain the same (analysis always runs fresh)
+ * - Entries are keyed by city + category + query, so retries with a new strategy or adapted query still search fresh
+ * - Each entry expires after 7 days (of course, this is configurable in config.js)
+ * - LLM results are cached too, keyed by model + schema + prompt (the prompt embeds the SERP results),
+ *   so a re-run against cached SERP data makes no OpenAI calls at all. Use --no-llm-cache to force fresh analysis.
  */
 
+const path = require('path');
 const CONFIG = require('./config');
 const { agentTick } = require('./agent');
-const { delay, saveMarkdownReport, contextToAnalysis } = require('./utils');
+const { describeModels } = require('./ai');
+const { delay, saveMarkdownReport, saveAgentContext, contextToAnalysis } = require('./utils');
 const { generateComparativeAnalysis, generateMarkdownReport } = require('./reports');
+const { writeFixtureManifest, readFixtureManifest, getMissingFixtures } = require('./fixtures');
+const { startMockSearchServer } = require('./mock-server');
+const { refreshExchangeRates } = require('./currency');
+const { getMemoryPath, listStrategyMemory } = require('./memory');
+const { resolveCity, resolveCities, parseCitiesArg, readCitiesFile } = require('./gazetteer');
+const {
+  getAllCostCategories,
+  getCostCategories,
+  getActiveProfile,
+  validateCostCategories,
+  validateProfile,
+  findCategoryResult
+} = require('./categories');
+const { SCORING_FACTORS, validateScoringConfig } = require('./scoring');
+const { loadSearchStrategies } = require('./strategies');
+
+// The 'mock' search provider needs its local stand-in server running for the duration of the run
+async function startSearchProvider() {
+  if (CONFIG.searchProvider !== 'mock' || CONFIG.replayDir) {
+    return null;
+  }
+
+  const server = await startMockSearchServer({ port: CONFIG.mockSearch.port });
+  console.log(`Using mock search server on port ${CONFIG.mockSearch.port}`);
+  return server;
+}
+
+// A replay that asked for a fixture the set doesn't have no longer matches the recorded run (different code,
+// config or fixture set): its results would be partial, so the run fails rather than report on them
+function checkReplayComplete() {
+  const missing = getMissingFixtures();
+  if (CONFIG.replayDir && missing.length > 0) {
+    missing.forEach(description => console.error(`❌ No recorded fixture for ${description}`));
+    throw new Error(`Replay incomplete: ${missing.length} fixture(s) missing from ${CONFIG.replayDir}`);
+  }
+}
+
+// Print gazetteer warnings/errors; returns false if any city couldn't be resolved
+function reportCityResolution({ errors, warnings }) {
+  warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+  errors.forEach(error => console.error(`❌ ${error}`));
+  return errors.length === 0;
+}
+
+// Catch config mistakes in costCategories and the household profile before any searches are made
+function checkCostCategories() {
+  const categories = getAllCostCategories();
+  const errors = [
+    ...validateCostCategories(categories, Object.keys(SCORING_FACTORS)),
+    ...validateProfile(CONFIG, categories)
+  ];
+  errors.forEach(error => console.error(`❌ Invalid cost category - ${error}`));
+  return errors.length === 0;
+}
+
+// Score weights (config or --weights), curve overrides, country scores and the target time zone
+function checkScoringConfig() {
+  const errors = validateScoringConfig(CONFIG);
+  errors.forEach(error => console.error(`❌ Invalid scoring config - ${error}`));
+  return errors.length === 0;
+}
+
+// Config and plugin strategies are validated before any agent starts
+function checkSearchStrategies() {
+  const { errors } = loadSearchStrategies(CONFIG);
+  errors.forEach(error => console.error(`❌ Invalid search strategy - ${error}`));
+  return errors.length === 0;
+}
 
 async function main(customBudget = null) {
   try {
     const budget = customBudget || CONFIG.monthlyBudgetUSD;
+
+    if (!checkCostCategories()) {
+      throw new Error('Fix costCategories in config.js');
+    }
+    if (!checkSearchStrategies()) {
+      throw new Error('Fix strategies / strategyPlugins in config.js');
+    }
+    if (!checkScoringConfig()) {
+      throw new Error('Fix remoteWorkWeights / scoringFactors in config.js (or --weights / --target-timezone)');
+    }
+
+    // Resolve every city to a canonical city/country before any agent starts
+    const resolution = resolveCities(CONFIG.cities);
+    if (!reportCityResolution(resolution)) {
+      throw new Error(`${resolution.errors.length} city name(s) could not be resolved`);
+    }
+    CONFIG.cities = resolution.cities;
+
     console.log('Starting Cost-of-Living Analysis...');
     console.log(`Analyzing: ${CONFIG.cities.map(c => c.name).join(', ')}`);
     console.log(`Budget: $${budget.toLocaleString()}/month`);
+    const profile = getActiveProfile();
+    if (profile) {
+      console.log(`Household: ${profile.displayName} (${getCostCategories().map(c => c.displayName).join(', ')})`);
+    }
+
+    if (CONFIG.replayDir) {
+      console.log(`Replaying recorded fixtures from: ${CONFIG.replayDir}`);
+    }
+    if (CONFIG.recordDir) {
+      writeFixtureManifest(CONFIG.recordDir, {
+        recorded_at: CONFIG.referenceDate,
+        cities: CONFIG.cities,
+        monthly_budget_usd: budget,
+        profile: CONFIG.profile,
+        models: describeModels()
+      });
+      console.log(`Recording fixtures to: ${CONFIG.recordDir}`);
+    }
 
+    const searchServer = await startSearchProvider();
     const startTime = Date.now();
 
     // Run multiple agent ticks in parallel with staggered start
@@ -51,6 +160,10 @@ async function main(customBudget = null) {
     });
 
     const agentResults = await Promise.all(agentPromises);
+    if (searchServer) {
+      searchServer.close();
+    }
+    checkReplayComplete();
     const successfulAgents = agentResults.filter(result => result.context !== null);
 
     if (successfulAgents.length === 0) {
@@ -96,11 +209,313 @@ async function main(customBudget = null) {
   }
 }
 
+// Print what the agent did on one Perceive -> Reason -> Reflect pass
+function logIteration(context, evaluation) {
+  console.log(`\n--- Iteration ${context.state.iteration + 1} ---`);
+
+  const categorySearches = context.perception?.category_searches || {};
+  const costCategories = context.reasoning?.cost_analysis?.cost_categories || [];
+
+  getCostCategories().forEach(category => {
+    const searchMetadata = categorySearches[category.name]?.metadata;
+    const result = findCategoryResult(costCategories, category);
+
+    console.log(`\n${category.displayName}`);
+    if (result && !context.state.active_categories.includes(category.name)) {
+      console.log(`  Kept:       result from iteration ${result.iteration + 1} (not retried)`);
+    } else if (result && result.iteration !== context.state.iteration) {
+      console.log(`  Kept:       result from iteration ${result.iteration + 1} (retry was no better)`);
+    }
+    console.log(`  Strategy:   ${searchMetadata?.strategy_used || 'n/a'}`);
+    console.log(`  Query:      ${searchMetadata?.search_query || 'n/a'}${searchMetadata?.query_source === 'reflection_plan' ? ' (from reflection plan)' : ''}`);
+    if (result) {
+      const amount = result.usd_amount ? `$${result.usd_amount}` : 'not found';
+      console.log(`  USD amount: ${amount} (${Math.round(result.confidence)}% confidence, via ${result.value_source})`);
+      if (result.triangulation && result.triangulation.candidates.length > 1) {
+        const candidates = result.triangulation.candidates
+          .map(c => `${c.strategy} ${c.usd_amount ? `$${c.usd_amount}` : 'n/a'}${c.rejected ? ' (rejected)' : ''}`);
+        console.log(`  Candidates: ${candidates.join(', ')} | agreement ${result.triangulation.agreement ?? 'n/a'}`);
+      }
+    } else {
+      console.log('  USD amount: no result');
+    }
+  });
+
+  console.log(`\nData source: ${context.perception?.metadata?.data_source || 'n/a'}`);
+  console.log(`Confidence: ${context.state.confidence.toFixed(1)}% | Completeness: ${Math.round(context.state.completeness * 100)}%`);
+
+  if (evaluation.should_continue) {
+    const plan = evaluation.plan;
+    console.log(`Reflection: retrying with ${plan.source === 'llm' ? 'a model-written' : 'the fallback'} search plan`);
+    Object.entries(plan.categories).forEach(([name, entry]) => {
+      const action = entry.action === 'keep' ? 'keep' :
+                     entry.query ? `search "${entry.query}"${entry.target_domains.length > 0 ? ` on ${entry.target_domains.join(', ')}` : ''}` :
+                     'next strategy';
+      console.log(`  ${name}: ${action}${entry.rationale ? ` (${entry.rationale})` : ''}`);
+    });
+  } else if (context.state.goals_met) {
+    console.log('Reflection: goals met, stopping');
+  } else {
+    console.log('Reflection: goals not met but no retry warranted, stopping');
+  }
+}
+
+// Run a single agent for one city and dump its context, so one city can be debugged without running the whole fleet.
+// Accepts a configured city name (case-insensitive) or any city the gazetteer can resolve ("Porto", "Portland, Maine").
+async function testSingleAgent(cityName) {
+  try {
+    const configured = CONFIG.cities.find(c => c.name.toLowerCase() === cityName.toLowerCase());
+    const { city, warning, error } = resolveCity(configured || cityName);
+
+    if (!checkCostCategories() || !checkSearchStrategies() || !checkScoringConfig()) {
+      process.exit(1);
+    }
+    if (!reportCityResolution({ errors: error ? [error] : [], warnings: warning ? [warning] : [] })) {
+      console.log(`Configured cities: ${CONFIG.cities.map(c => c.name).join(', ')}`);
+      process.exit(1);
+    }
+
+    console.log(`Testing single agent: ${city.name}, ${city.country}`);
+    // Same manifest as a full run, so `test <city> --replay <dir>` finds the recorded city, budget and profile
+    if (CONFIG.recordDir) {
+      writeFixtureManifest(CONFIG.recordDir, {
+        recorded_at: CONFIG.referenceDate,
+        cities: [city],
+        monthly_budget_usd: CONFIG.monthlyBudgetUSD,
+        profile: CONFIG.profile,
+        models: describeModels()
+      });
+      console.log(`Recording fixtures to: ${CONFIG.recordDir}`);
+    }
+    const searchServer = await startSearchProvider();
+    const startTime = Date.now();
+
+    const context = await agentTick(city, { onIteration: logIteration });
+    if (searchServer) {
+      searchServer.close();
+    }
+
+    if (context.errors.length > 0) {
+      console.log(`\nErrors (${context.errors.length}):`);
+      context.errors.forEach(error => {
+        console.log(`  [${error.phase}]${error.category ? ` ${error.category}:` : ''} ${error.message}`);
+      });
+    }
+    checkReplayComplete();
+
+    const contextPath = saveAgentContext(context, CONFIG.dataDir);
+
+    console.log(`\n✅ Agent finished after ${context.state.iteration + 1} iteration(s) (${((Date.now() - startTime) / 1000).toFixed(1)}s)`);
+    console.log(`Remote work score: ${context.reasoning?.remote_work_score || 0}/100`);
+    (context.reasoning?.remote_work_factors || []).forEach(factor => {
+      console.log(factor.score === null ?
+        `  ${factor.display_name}: no data` :
+        `  ${factor.display_name}: ${factor.score}/100 (${factor.display_value}) × ${Math.round(factor.share * 100)}% = ${factor.points} pts`);
+    });
+    if (contextPath) {
+      console.log(`Agent context saved to: ${contextPath}`);
+    }
+
+    return context;
+
+  } catch (error) {
+    console.error('Single agent test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Flags that take a value, as --flag value as well as --flag=value
+const VALUE_FLAGS = ['record', 'replay', 'cities', 'cities-file', 'profile', 'weights', 'target-timezone'];
+
+// Splits CLI args into positional args and --flags.
+// Flags named in valueFlags take the next arg as their value (--flag value) unless it's another flag, so a bare
+// --record still means the default directory; --flag=value works for any flag.
+function parseCliArgs(argv, valueFlags = VALUE_FLAGS) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const eqIndex = arg.indexOf('=');
+    const name = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+    if (eqIndex !== -1) {
+      flags[name] = arg.slice(eqIndex + 1);
+    } else if (valueFlags.includes(name) && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { positional, flags };
+}
+
+// "cost_of_living=0.5,timezone_overlap=0.3" -> { cost_of_living: 0.5, timezone_overlap: 0.3 }, or null if malformed
+function parseWeightsArg(value) {
+  const weights = {};
+  for (const pair of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [name, weight] = pair.split('=').map(part => part.trim());
+    if (!name || weight === undefined || weight === '' || isNaN(Number(weight))) {
+      return null;
+    }
+    weights[name] = Number(weight);
+  }
+  return Object.keys(weights).length > 0 ? weights : null;
+}
+
+// Apply CLI flags on top of config.js
+function applyCliFlags(flags) {
+  if (flags['no-llm-cache']) {
+    CONFIG.llmCacheEnabled = false;
+  }
+
+  if (flags['fetch-pages']) {
+    CONFIG.pageFetch.enabled = true;
+  }
+
+  if (flags['no-triangulate']) {
+    CONFIG.triangulation.enabled = false;
+  }
+
+  if (flags['no-strategy-memory']) {
+    CONFIG.strategyMemory.enabled = false;
+  }
+
+  if (flags['cpi-adjust']) {
+    CONFIG.freshness.cpiAdjust = true;
+  }
+
+  // Score weights for this run, on top of remoteWorkWeights: --weights cost_of_living=0.5,timezone_overlap=0.3
+  if (flags.weights) {
+    const weights = flags.weights === true ? null : parseWeightsArg(flags.weights);
+    if (!weights) {
+      console.error('❌ --weights needs factor=weight pairs, e.g. --weights cost_of_living=0.5,timezone_overlap=0.3');
+      console.log(`Available factors: ${Object.keys(SCORING_FACTORS).join(', ')}`);
+      process.exit(1);
+    }
+    CONFIG.remoteWorkWeights = { ...CONFIG.remoteWorkWeights, ...weights };
+  }
+  if (flags['target-timezone']) {
+    if (flags['target-timezone'] === true) {
+      console.error('❌ Please specify a time zone, e.g. --target-timezone America/New_York');
+      process.exit(1);
+    }
+    CONFIG.scoringFactors.targetTimezone = flags['target-timezone'];
+  }
+
+  if (flags.replay && flags.record) {
+    console.error('❌ --replay and --record cannot be used together');
+    process.exit(1);
+  }
+
+  if (flags.replay && (flags.cities || flags['cities-file'])) {
+    console.error('❌ --replay uses the recorded cities; it cannot be combined with --cities or --cities-file');
+    process.exit(1);
+  }
+
+  if (flags.replay && flags.profile) {
+    console.error('❌ --replay uses the recorded household profile; it cannot be combined with --profile');
+    process.exit(1);
+  }
+
+  // Household profile: which categories to research and how many of each the household needs
+  if (flags.profile) {
+    if (flags.profile === true || !CONFIG.profiles[flags.profile]) {
+      console.error(flags.profile === true ? '❌ Please specify a profile' : `❌ Unknown profile: ${flags.profile}`);
+      console.log(`Available profiles: ${Object.keys(CONFIG.profiles).join(', ')}`);
+      process.exit(1);
+    }
+    CONFIG.profile = flags.profile;
+  }
+
+  // Cities from the command line replace the ones in config.js (resolved through the gazetteer in main())
+  if (flags.cities) {
+    CONFIG.cities = flags.cities === true ? [] : parseCitiesArg(flags.cities);
+  }
+  if (flags['cities-file']) {
+    try {
+      CONFIG.cities = [...(flags.cities ? CONFIG.cities : []), ...readCitiesFile(flags['cities-file'])];
+    } catch (error) {
+      console.error(`❌ Could not read cities file ${flags['cities-file']}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  if ((flags.cities || flags['cities-file']) && CONFIG.cities.length === 0) {
+    console.error('❌ No cities given');
+    console.log('Usage: node main.js --cities "Lisbon,Porto,Tbilisi"  or  --cities-file cities.json|cities.csv');
+    process.exit(1);
+  }
+
+  // Replay: serve SERP/LLM results from a recorded fixture set, using the recorded cities and budget
+  if (flags.replay) {
+    if (flags.replay === true) {
+      console.error('❌ Please specify a fixture directory to replay');
+      console.log('Usage: node main.js --replay <fixture_dir>');
+      process.exit(1);
+    }
+
+    CONFIG.replayDir = flags.replay;
+    CONFIG.delayBetweenRequests = 0; // nothing to rate-limit when replaying
+
+    const manifest = readFixtureManifest(CONFIG.replayDir);
+    if (manifest) {
+      CONFIG.cities = manifest.cities;
+      CONFIG.monthlyBudgetUSD = manifest.monthly_budget_usd;
+      CONFIG.profile = manifest.profile || CONFIG.profile;
+      CONFIG.replayModels = manifest.models || null;
+      CONFIG.referenceDate = manifest.recorded_at || null;
+    }
+  }
+
+  // Record: capture every SERP response and LLM result used in this run as a fixture set
+  if (flags.record) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    CONFIG.recordDir = flags.record === true ? path.join(CONFIG.fixturesDir, timestamp) : flags.record;
+  }
+
+  // One "today" for the whole run. A recording stores it as recorded_at and its replays date values against it
+  // instead of the day they run, so the same fixtures keep producing the same ages, discounts and stale flags
+  CONFIG.referenceDate = CONFIG.referenceDate || new Date().toISOString();
+}
+
+// `node main.js strategies [country|region]`: the persistent strategy memory as a table
+function printStrategyMemory(filter = null) {
+  const rows = listStrategyMemory(CONFIG, filter);
+  if (rows.length === 0) {
+    console.log(filter ? `Nothing learned yet for ${filter}` : `Nothing learned yet (${getMemoryPath(CONFIG)})`);
+    return;
+  }
+
+  const columns = [
+    ['Scope', row => `${row.scope_type === 'region' ? 'Region: ' : ''}${row.scope}`],
+    ['Category', row => row.category],
+    ['Strategy', row => row.strategy],
+    ['Attempts', row => String(row.attempts)],
+    ['Success', row => `${Math.round(row.success_rate * 100)}%`],
+    ['Avg conf.', row => `${Math.round(row.avg_confidence)}%`],
+    ['Last used', row => (row.last_used || '').slice(0, 10)]
+  ];
+  const cells = rows.map(row => columns.map(([, format]) => format(row)));
+  const widths = columns.map(([title], index) => Math.max(title.length, ...cells.map(rowCells => rowCells[index].length)));
+  const formatLine = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+  console.log(`Strategy memory: ${getMemoryPath(CONFIG)}\n`);
+  console.log(formatLine(columns.map(([title]) => title)));
+  console.log(formatLine(widths.map(width => '-'.repeat(width))));
+  cells.forEach(rowCells => console.log(formatLine(rowCells)));
+}
+
 // Totally optional - I'm using this as Agent as a CLI tool for now, so here's the CLI handling
 // Run it like this: node main.js 2000 
 // to run the analysis with a $2,000/mo budget
 if (require.main === module) {
-  const args = process.argv.slice(2);
+  const { positional: args, flags } = parseCliArgs(process.argv.slice(2));
+  applyCliFlags(flags);
   
   if (args.length > 0 && args[0] === 'test') {
     const cityName = args[1];
@@ -108,16 +523,42 @@ if (require.main === module) {
       console.error('❌ Please specify a city name for testing');
       console.log(`Usage: node main.js test <city_name>`);
       console.log(`Available cities: ${CONFIG.cities.map(c => c.name).join(', ')}`);
+      console.log('Or any city the gazetteer knows, qualified if ambiguous (e.g., "Portland, Maine")');
       process.exit(1);
     }
     testSingleAgent(cityName);
+  } else if (args.length > 0 && args[0] === 'refresh-rates') {
+    refreshExchangeRates(CONFIG, args[1]).then(result => {
+      console.log(`✅ Exchange rates refreshed: ${result.currencies} currencies as of ${result.as_of} (${result.source})`);
+      console.log(`Saved to: ${result.path}`);
+    }).catch(error => {
+      console.error(`❌ Failed to refresh exchange rates: ${error.message}`);
+      process.exit(1);
+    });
+  } else if (args.length > 0 && args[0] === 'strategies') {
+    printStrategyMemory(args.slice(1).join(' ') || null);
   } else if (args.length > 0 && args[0] === 'help') {
     console.log('Cost of Living Analysis Tool\n');
     console.log('Usage:');
     console.log('  node main.js                    # Run analysis with default budget ($2,000)');
     console.log('  node main.js <budget>           # Run analysis with custom budget (e.g., 1500)');
-    console.log('  node main.js test <city_name>   # Test analysis for a single city');
+    console.log('  node main.js test <city_name>   # Test analysis for a single city (e.g., Porto or "Portland, Maine")');
+    console.log('  node main.js refresh-rates [provider]  # Fetch a fresh exchange-rate table (open_er_api, json_url)');
+    console.log('  node main.js strategies [country|region]  # Show what the strategy memory has learned (e.g. Portugal, PT)');
     console.log('  node main.js help               # Show this help message\n');
+    console.log('Options:');
+    console.log('  --cities "Lisbon,Porto,Tbilisi" # Analyze these cities instead of the configured ones (use ; between cities to qualify: "Portland, Maine; Lisbon")');
+    console.log('  --cities-file <file>            # Read cities from a .json (array of names or {name, country}) or .csv (name,country) file');
+    console.log(`  --profile <name>                # Household to cost: ${Object.keys(CONFIG.profiles).join(', ')} (default: ${CONFIG.profile})`);
+    console.log('  --no-llm-cache                  # Ignore cached LLM results and re-run extraction/summaries');
+    console.log('  --fetch-pages                   # Also fetch Numbeo/Expatistan result pages and pass their price tables to the LLM');
+    console.log('  --no-triangulate                # Search each category with one strategy only (no cross-checking between sources)');
+    console.log('  --no-strategy-memory            # Ignore (and don\'t update) what earlier runs learned about strategies');
+    console.log('  --cpi-adjust                    # Bring figures from earlier years forward by CPI inflation');
+    console.log(`  --weights <factor=weight,...>   # Remote work score weights for this run (factors: ${Object.keys(SCORING_FACTORS).join(', ')})`);
+    console.log('  --target-timezone <zone>        # Score working-hours overlap with this time zone (e.g. America/New_York)');
+    console.log('  --record [<dir>]                # Record SERP/LLM results as a fixture set (default: fixtures/<timestamp>)');
+    console.log('  --replay <dir>                  # Re-run offline from a recorded fixture set (no credentials needed)\n');
     console.log(`Available cities: ${CONFIG.cities.map(c => c.name).join(', ')}`);
     console.log(`Default budget: $${CONFIG.monthlyBudgetUSD.toLocaleString()}/month`);
   } else {
@@ -139,5 +580,8 @@ if (require.main === module) {
 }
 
 module.exports = {
-  main
+  main,
+  testSingleAgent,
+  parseCliArgs,
+  applyCliFlags
 }; 
\ No newline at end of file
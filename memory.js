@@ -0,0 +1,188 @@
+// Persistent strategy memory - what each search strategy has achieved per category, across runs.
+// Stats (attempts, successes, summed confidence) are kept per strategy × category for both the country and its
+// World Bank region (from datasets/countries.json), in one JSON file. selectStrategy ranks strategies with it:
+// a UCB-style score, i.e. the smoothed success rate plus an exploration bonus for strategies tried less often.
+// A new country borrows its region's stats (at regionWeight) until it has its own.
+const fs = require('fs');
+const path = require('path');
+const { findCountry } = require('./countries');
+
+let store = null;
+
+// Pseudo-strategy that attempts on a reflection plan's own query are filed under. The plan wrote the query, so its
+// outcome says nothing about the strategy selectStrategy picked; rankStrategies never ranks it
+const REFLECTION_PLAN_STRATEGY = 'reflection_plan';
+
+// Off with --no-strategy-memory, and always off in replay so strategy choice (and so the queries) match the recording
+function isStrategyMemoryEnabled(config) {
+  return config.strategyMemory.enabled && !config.replayDir;
+}
+
+function getMemoryPath(config) {
+  return config.strategyMemory.file || path.join(config.dataDir, 'strategy_memory.json');
+}
+
+function createEmptyStore() {
+  return { version: 1, updated_at: null, countries: {}, regions: {} };
+}
+
+// Loaded once per run; every agent reads the same snapshot and records into it
+function loadStrategyMemory(config) {
+  if (!store) {
+    try {
+      const filePath = getMemoryPath(config);
+      store = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : createEmptyStore();
+    } catch (error) {
+      console.error(`⚠️ Could not read strategy memory, starting from scratch: ${error.message}`);
+      store = createEmptyStore();
+    }
+  }
+  return store;
+}
+
+function saveStrategyMemory(config) {
+  try {
+    const filePath = getMemoryPath(config);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    store.updated_at = new Date().toISOString();
+    fs.writeFileSync(filePath, JSON.stringify(store, null, 2), 'utf8');
+    return filePath;
+  } catch (error) {
+    console.error(`❌ Failed to save strategy memory: ${error.message}`);
+    return null;
+  }
+}
+
+// Where an agent's experience is filed: its country (ISO alpha-2 when known) and that country's region
+function getMemoryScope(context) {
+  const country = findCountry(context.country_code || context.country);
+  return {
+    country: country ? country.iso2 : context.country,
+    region: country ? country.region : null
+  };
+}
+
+function getStats(scopeStats, categoryName, strategyName) {
+  return scopeStats?.[categoryName]?.[strategyName] || null;
+}
+
+function addAttempt(scopeStats, categoryName, strategyName, success, confidence, timestamp) {
+  scopeStats[categoryName] = scopeStats[categoryName] || {};
+  const stats = scopeStats[categoryName][strategyName] || { attempts: 0, successes: 0, confidence_sum: 0, last_used: null };
+  stats.attempts++;
+  stats.successes += success ? 1 : 0;
+  stats.confidence_sum += confidence || 0;
+  stats.last_used = timestamp;
+  scopeStats[categoryName][strategyName] = stats;
+}
+
+// The strategy name an attempt is filed under: the strategy's own when its query ran (querySource 'strategy'),
+// otherwise REFLECTION_PLAN_STRATEGY
+function getAttemptStrategy(strategyName, querySource) {
+  return querySource === 'strategy' ? strategyName : REFLECTION_PLAN_STRATEGY;
+}
+
+// File an agent's strategy attempts (context.memory.attempted_strategies) under its country and region, and save.
+// Only attempts on fresh search results count: one served from the SERP cache repeats an outcome already filed by
+// the run that made the search, and counting it again would inflate the attempts and the ranking's confidence.
+function recordAgentMemory(context, config) {
+  const memory = loadStrategyMemory(config);
+  const scope = getMemoryScope(context);
+  memory.countries[scope.country] = memory.countries[scope.country] || {};
+  if (scope.region) {
+    memory.regions[scope.region] = memory.regions[scope.region] || {};
+  }
+
+  context.memory.attempted_strategies.filter(attempt => attempt.data_source === 'fresh_serp_call').forEach(attempt => {
+    addAttempt(memory.countries[scope.country], attempt.category, attempt.strategy, attempt.success, attempt.confidence, attempt.timestamp);
+    if (scope.region) {
+      addAttempt(memory.regions[scope.region], attempt.category, attempt.strategy, attempt.success, attempt.confidence, attempt.timestamp);
+    }
+  });
+
+  return saveStrategyMemory(config);
+}
+
+// Country stats plus the region's at regionWeight (the region total includes this country, so only the rest of it counts)
+function combineStats(countryStats, regionStats, regionWeight) {
+  const attempts = (countryStats?.attempts || 0) + regionWeight * Math.max(0, (regionStats?.attempts || 0) - (countryStats?.attempts || 0));
+  const successes = (countryStats?.successes || 0) + regionWeight * Math.max(0, (regionStats?.successes || 0) - (countryStats?.successes || 0));
+  const confidenceSum = (countryStats?.confidence_sum || 0) + regionWeight * Math.max(0, (regionStats?.confidence_sum || 0) - (countryStats?.confidence_sum || 0));
+  return { attempts, successes, confidence_sum: confidenceSum };
+}
+
+// Rank strategies for one category in one scope. Returns [{ name, score, success_rate, avg_confidence, attempts }],
+// best first, or null when nothing has been learned for this category here yet (the caller keeps its default order).
+function rankStrategies(context, categoryName, strategyNames, config) {
+  const memoryConfig = config.strategyMemory;
+  const memory = loadStrategyMemory(config);
+  const scope = getMemoryScope(context);
+  const countryStats = memory.countries[scope.country];
+  const regionStats = scope.region ? memory.regions[scope.region] : null;
+
+  const arms = strategyNames.filter(name => name !== REFLECTION_PLAN_STRATEGY).map(name => ({
+    name,
+    ...combineStats(getStats(countryStats, categoryName, name), getStats(regionStats, categoryName, name), memoryConfig.regionWeight)
+  }));
+  const totalAttempts = arms.reduce((sum, arm) => sum + arm.attempts, 0);
+  if (totalAttempts === 0) {
+    return null;
+  }
+
+  return arms.map(arm => {
+    // Success rate smoothed towards priorSuccessRate, so one lucky attempt doesn't dominate
+    const successRate = (arm.successes + memoryConfig.priorSuccessRate * memoryConfig.priorStrength) / (arm.attempts + memoryConfig.priorStrength);
+    const exploration = memoryConfig.explorationWeight * Math.sqrt(Math.log(totalAttempts + 1) / (arm.attempts + memoryConfig.priorStrength));
+    return {
+      name: arm.name,
+      score: Math.round((successRate + exploration) * 1000) / 1000,
+      success_rate: Math.round(successRate * 100) / 100,
+      avg_confidence: arm.attempts > 0 ? Math.round(arm.confidence_sum / arm.attempts) : null,
+      attempts: Math.round(arm.attempts * 10) / 10
+    };
+  }).sort((a, b) => b.score - a.score || (b.avg_confidence || 0) - (a.avg_confidence || 0));
+}
+
+// Flat rows for the `strategies` CLI table, optionally filtered to one country (name or code) or region
+function listStrategyMemory(config, filter = null) {
+  const memory = loadStrategyMemory(config);
+  const filterCountry = filter ? findCountry(filter) : null;
+  const rows = [];
+
+  [['country', memory.countries], ['region', memory.regions]].forEach(([scopeType, scopes]) => {
+    Object.entries(scopes).forEach(([scope, categories]) => {
+      if (filter && (filterCountry ? scope !== filterCountry.iso2 && scope !== filterCountry.region : scope.toLowerCase() !== filter.toLowerCase())) {
+        return;
+      }
+      Object.entries(categories).forEach(([category, strategies]) => {
+        Object.entries(strategies).forEach(([strategy, stats]) => {
+          rows.push({
+            scope_type: scopeType,
+            scope,
+            category,
+            strategy,
+            attempts: stats.attempts,
+            success_rate: stats.successes / stats.attempts,
+            avg_confidence: stats.confidence_sum / stats.attempts,
+            last_used: stats.last_used
+          });
+        });
+      });
+    });
+  });
+
+  return rows.sort((a, b) =>
+    a.scope_type.localeCompare(b.scope_type) || a.scope.localeCompare(b.scope) ||
+    a.category.localeCompare(b.category) || b.success_rate - a.success_rate);
+}
+
+module.exports = {
+  REFLECTION_PLAN_STRATEGY,
+  isStrategyMemoryEnabled,
+  getMemoryPath,
+  loadStrategyMemory,
+  getAttemptStrategy,
+  recordAgentMemory,
+  rankStrategies,
+  listStrategyMemory
+};
@@ -0,0 +1,97 @@
+// Local stand-in for a SERP API (searchProvider: 'mock' in config.js)
+// Serves GET /search?q=<query> with canned results in the { organic, knowledge } shape, so the agent can run in CI
+// without any search vendor. If a --record fixture set is given, recorded responses are served for known queries.
+const http = require('http');
+const crypto = require('crypto');
+const { loadSerpFixture } = require('./fixtures');
+
+// Rough USD baselines per category keyword, so canned snippets contain plausible prices
+const CANNED_PRICES = [
+  { keywords: ['3 bedroom'], label: 'Apartment (3 bedrooms) in City Centre', usd: 2200 },
+  { keywords: ['school', 'tuition'], label: 'International Primary School, Yearly for 1 Child', usd: 900 },
+  { keywords: ['rent', 'apartment', 'bedroom'], label: 'Apartment (1 bedroom) in City Centre', usd: 1200 },
+  { keywords: ['grocer'], label: 'Monthly groceries for one person', usd: 350 },
+  { keywords: ['transport', 'transit', 'pass'], label: 'Monthly Pass (Regular Price)', usd: 45 },
+  { keywords: ['utilities', 'electricity'], label: 'Basic utilities for 85m2 apartment', usd: 150 },
+  { keywords: ['internet', 'broadband'], label: 'Internet (60 Mbps or More, Unlimited Data)', usd: 35 }
+];
+
+function buildCannedResults(query) {
+  const lowerQuery = query.toLowerCase();
+  const price = CANNED_PRICES.find(p => p.keywords.some(keyword => lowerQuery.includes(keyword))) ||
+    { label: 'Average monthly cost', usd: 500 };
+
+  // Deterministic +/-30% variation per query so different cities don't all look identical
+  const variation = 0.7 + (parseInt(crypto.createHash('sha256').update(query).digest('hex').slice(0, 8), 16) % 61) / 100;
+  const amount = Math.round(price.usd * variation);
+
+  const sources = [
+    { domain: 'www.numbeo.com', path: 'cost-of-living' },
+    { domain: 'www.expatistan.com', path: 'cost-of-living' },
+    { domain: 'livingcost.org', path: 'cost' }
+  ];
+
+  return {
+    organic: sources.map((source, index) => ({
+      title: `${price.label} - ${query.split(' site:')[0]}`,
+      description: `${price.label}: ${(amount * (1 + index * 0.05)).toFixed(2)} $. Mock result for "${query}".`,
+      link: `https://${source.domain}/${source.path}/mock?q=${encodeURIComponent(query)}`,
+      display_link: source.domain
+    })),
+    knowledge: null
+  };
+}
+
+function startMockSearchServer(options = {}) {
+  const port = options.port || 4010;
+  const fixtureDir = options.fixtureDir || null;
+
+  const server = http.createServer((req, res) => {
+    const requestUrl = new URL(req.url, `http://127.0.0.1:${port}`);
+    const query = requestUrl.searchParams.get('q');
+
+    if (requestUrl.pathname !== '/search' || !query) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Use GET /search?q=<query>' }));
+      return;
+    }
+
+    let body;
+    if (fixtureDir) {
+      try {
+        body = loadSerpFixture(fixtureDir, query);
+      } catch (error) {
+        body = null;
+      }
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || buildCannedResults(query)));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// Run standalone: node mock-server.js [port] [fixture_dir]
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 4010;
+  const fixtureDir = process.argv[3] || null;
+
+  startMockSearchServer({ port, fixtureDir }).then(() => {
+    console.log(`Mock search server listening on http://127.0.0.1:${port}/search`);
+    if (fixtureDir) {
+      console.log(`Serving recorded fixtures from: ${fixtureDir}`);
+    }
+  }).catch(error => {
+    console.error(`❌ Failed to start mock search server: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startMockSearchServer,
+  buildCannedResults
+};
\ No newline at end of file
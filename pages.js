@@ -0,0 +1,138 @@
+// Page-fetching perception - an optional second stage after the SERP search.
+// Fetches the top organic links from trusted domains and turns their price tables into clean text,
+// which is handed to the LLM as extra evidence alongside the SERP titles/snippets.
+const fetch = require('node-fetch');
+const { getSearchStrategies } = require('./strategies');
+const { loadCachedPage, saveCachedPage } = require('./cache');
+const { loadPageFixture, recordPageFixture } = require('./fixtures');
+const { getPageParser, htmlToText } = require('./parsers');
+const { getDomain } = require('./sources');
+const { delay } = require('./utils');
+
+// Domains we trust enough to fetch: every real domain named in a strategy's `sites` list
+// ('gov', 'forum' etc. are search hints, not domains, so they're skipped)
+function getTrustedDomains() {
+  const domains = Object.values(getSearchStrategies())
+    .flatMap(strategy => strategy.sites)
+    .filter(site => site.includes('.'));
+  return [...new Set(domains)];
+}
+
+function isTrustedDomain(domain, trustedDomains) {
+  return trustedDomains.some(trusted => domain === trusted || domain.endsWith(`.${trusted}`));
+}
+
+async function fetchPageHtml(url, config) {
+  const response = await fetch(url, {
+    method: 'GET',
+    timeout: config.pageFetch.timeoutMs,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      'Accept': 'text/html,application/xhtml+xml'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! Status: ${response.status} - ${response.statusText}`);
+  }
+
+  return response.text();
+}
+
+// Get a page's HTML from a replay fixture, the cache, or the network (same order as SERP data)
+async function loadPage(url, config) {
+  let html;
+  let source;
+
+  if (config.replayDir) {
+    html = loadPageFixture(config.replayDir, url);
+    source = 'replay_fixture';
+  } else {
+    html = loadCachedPage(url, config.cacheDir);
+    source = 'cached_data';
+
+    if (!html) {
+      html = await fetchPageHtml(url, config);
+      source = 'fresh_page_fetch';
+      saveCachedPage(url, html, config.cacheDir, config.cacheExpiryDays);
+    }
+  }
+
+  if (config.recordDir) {
+    recordPageFixture(config.recordDir, url, html);
+  }
+
+  return { html, source };
+}
+
+// Turn one page into evidence text for a category: the price-table rows matching the category's
+// pageKeywords for sites we have a parser for, plain page text otherwise. Capped at maxChars.
+// Parsed rows are kept too, for the rule-based extractor in parsers.js.
+function extractPageEvidence(html, domain, category, maxChars) {
+  const parser = getPageParser(domain);
+
+  if (!parser) {
+    return { text: htmlToText(html).slice(0, maxChars), rows: null };
+  }
+
+  const keywords = category.pageKeywords || [];
+  const rows = parser.parse(html).filter(row =>
+    keywords.length === 0 || keywords.some(keyword => row.item.toLowerCase().includes(keyword))
+  );
+  const text = rows.map(row => `${row.item}: ${row.price}${row.range ? ` (range ${row.range})` : ''}`).join('\n');
+
+  return { text: text.slice(0, maxChars), rows };
+}
+
+// Fetch up to pageFetch.maxPages trusted result pages for a category.
+// Page failures don't fail the category; they're returned so the agent can record them.
+async function gatherPageEvidence(categoryPerception, category, config) {
+  const trustedDomains = getTrustedDomains();
+  const organicResults = categoryPerception.sources.google_search.organic || [];
+
+  const candidates = organicResults
+    .filter(result => {
+      const domain = getDomain(result.link);
+      return domain && isTrustedDomain(domain, trustedDomains);
+    })
+    .slice(0, config.pageFetch.maxPages);
+
+  const evidence = [];
+  const failures = [];
+
+  for (const result of candidates) {
+    const domain = getDomain(result.link);
+    const parser = getPageParser(domain);
+    const url = parser ? parser.prepareUrl(result.link) : result.link;
+
+    try {
+      const { html, source } = await loadPage(url, config);
+      const { text, rows } = extractPageEvidence(html, domain, category, config.pageFetch.maxCharsPerPage);
+
+      if (text) {
+        evidence.push({
+          url: url,
+          domain: domain,
+          parser: parser ? parser.name : 'text',
+          data_source: source,
+          text: text,
+          rows: rows
+        });
+      }
+
+      if (source === 'fresh_page_fetch') {
+        await delay(config.delayBetweenRequests);
+      }
+    } catch (error) {
+      failures.push({ url, message: error.message });
+    }
+  }
+
+  return { evidence, failures };
+}
+
+module.exports = {
+  getTrustedDomains,
+  gatherPageEvidence,
+  extractPageEvidence
+};
\ No newline at end of file
@@ -0,0 +1,272 @@
+// HTML parsing for cost-of-living source pages, plus a rule-based cost extractor.
+// Per-domain parsers pull the price tables out of Numbeo/Expatistan pages as { item, price, range } rows;
+// anything else falls back to plain text. extractStructuredCost() reads those rows (and Numbeo/Expatistan
+// SERP snippets) to produce a cost result without an LLM call when a clean value is available.
+const { normalizeCurrency, convertToUSD } = require('./currency');
+
+const HTML_ENTITIES = {
+  '&nbsp;': ' ',
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&euro;': '€',
+  '&pound;': '£',
+  '&yen;': '¥'
+};
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&[a-z]+;/gi, entity => HTML_ENTITIES[entity.toLowerCase()] ?? entity);
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Whole page as readable text (scripts, styles and markup removed)
+function htmlToText(html) {
+  return stripTags(html
+    .replace(/<(script|style|noscript|svg)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<\/(p|div|tr|li|h[1-6]|br)>/gi, '\n'));
+}
+
+// Split a table row into its <td> cells, keeping each cell's class attribute
+function getRowCells(rowHtml) {
+  const cells = [];
+  const cellPattern = /<td([^>]*)>([\s\S]*?)<\/td>/gi;
+  let match;
+  while ((match = cellPattern.exec(rowHtml)) !== null) {
+    const classMatch = match[1].match(/class\s*=\s*"([^"]*)"/i);
+    cells.push({ className: classMatch ? classMatch[1] : '', html: match[2], text: stripTags(match[2]) });
+  }
+  return cells;
+}
+
+function getRows(html) {
+  return html.match(/<tr[\s\S]*?<\/tr>/gi) || [];
+}
+
+// Numbeo: <td>Item</td><td class="priceValue">1,150.00 €</td><td class="priceBarTd">...barTextLeft 900 ... barTextRight 1,400...</td>
+function parseNumbeoPage(html) {
+  return getRows(html).map(rowHtml => {
+    const cells = getRowCells(rowHtml);
+    const priceCell = cells.find(cell => /priceValue/.test(cell.className));
+    if (!priceCell || cells.length < 2) {
+      return null;
+    }
+
+    const rangeLow = rowHtml.match(/class="barTextLeft"[^>]*>([^<]*)</i);
+    const rangeHigh = rowHtml.match(/class="barTextRight"[^>]*>([^<]*)</i);
+
+    return {
+      item: cells[0].text,
+      price: priceCell.text,
+      range: rangeLow && rangeHigh ? `${stripTags(rangeLow[1])}-${stripTags(rangeHigh[1])}` : null
+    };
+  }).filter(row => row && row.item && row.price && row.price !== '?');
+}
+
+// Expatistan: <td class="item-name">Item</td><td class="price city-1">€1,834</td>
+function parseExpatistanPage(html) {
+  return getRows(html).map(rowHtml => {
+    const cells = getRowCells(rowHtml);
+    const itemCell = cells.find(cell => /item-name/.test(cell.className));
+    const priceCell = cells.find(cell => /\bprice\b/.test(cell.className));
+    if (!itemCell || !priceCell) {
+      return null;
+    }
+
+    return {
+      item: itemCell.text,
+      price: priceCell.text,
+      range: null
+    };
+  }).filter(row => row && row.item && row.price);
+}
+
+// Per-domain page parsers. prepareUrl asks the site to show prices in USD where it supports that.
+const PAGE_PARSERS = {
+  'numbeo.com': {
+    name: 'numbeo',
+    prepareUrl: url => {
+      const pageUrl = new URL(url);
+      pageUrl.searchParams.set('displayCurrency', 'USD');
+      return pageUrl.toString();
+    },
+    parse: parseNumbeoPage
+  },
+
+  'expatistan.com': {
+    name: 'expatistan',
+    prepareUrl: url => {
+      const pageUrl = new URL(url);
+      pageUrl.searchParams.set('currency', 'USD');
+      return pageUrl.toString();
+    },
+    parse: parseExpatistanPage
+  }
+};
+
+function getPageParser(domain) {
+  const parserDomain = Object.keys(PAGE_PARSERS).find(key => domain === key || domain.endsWith(`.${key}`));
+  return parserDomain ? PAGE_PARSERS[parserDomain] : null;
+}
+
+// "1,150.00 $" -> { amount: 1150, currency: 'USD' }. Handles "1.150,00 €" and "Rp 15.000.000" styles too:
+// the last separator is the decimal point unless it's followed by exactly 3 digits or repeats.
+// The country disambiguates bare symbols like "$" (see currency.js).
+function parseAmount(priceText, country = null) {
+  const numberMatch = priceText.match(/\d[\d.,]*/);
+  if (!numberMatch) {
+    return null;
+  }
+
+  const numberText = numberMatch[0].replace(/[.,]$/, '');
+  const separators = numberText.replace(/\d/g, '');
+  const lastSeparator = separators.slice(-1);
+  const isDecimal = lastSeparator &&
+    separators.indexOf(lastSeparator) === separators.length - 1 &&
+    !new RegExp(`\\${lastSeparator}\\d{3}$`).test(numberText);
+
+  const integerPart = isDecimal ? numberText.slice(0, numberText.lastIndexOf(lastSeparator)) : numberText;
+  const decimalPart = isDecimal ? numberText.slice(numberText.lastIndexOf(lastSeparator) + 1) : '0';
+
+  const amount = parseFloat(`${integerPart.replace(/[.,]/g, '')}.${decimalPart}`);
+  const currency = normalizeCurrency(priceText.replace(numberMatch[0], ''), country);
+
+  return isNaN(amount) ? null : { amount, currency };
+}
+
+// Table row labels that map cleanly onto a category, per site. Categories without an entry
+// (or whose schema needs more than an amount, like internet speed) always go to the LLM.
+const PRICE_LABELS = {
+  rent_1br: {
+    numbeo: /^Apartment \(1 bedroom\) in City Cent(re|er)/i,
+    expatistan: /Monthly rent for 45 m2 .*NORMAL area/i
+  },
+  rent_3br: {
+    numbeo: /^Apartment \(3 bedrooms\) in City Cent(re|er)/i,
+    expatistan: /Monthly rent for 85 m2 .*NORMAL area/i
+  },
+  transportation: {
+    numbeo: /^Monthly Pass/i,
+    expatistan: /Monthly ticket public transport/i
+  },
+  utilities: {
+    numbeo: /^Basic \(Electricity, Heating, Cooling, Water, Garbage\)/i,
+    expatistan: /Basic utilities for 1 person/i
+  }
+};
+
+// Outside-center rows for locationTiers categories (Expatistan splits by "normal"/"expensive" area instead)
+const OUTSIDE_CENTER_LABELS = {
+  rent_1br: { numbeo: /^Apartment \(1 bedroom\) Outside of Cent(re|er)/i },
+  rent_3br: { numbeo: /^Apartment \(3 bedrooms\) Outside of Cent(re|er)/i }
+};
+
+const PARSER_CONFIDENCE = {
+  page_table: 92, // a row from a fetched price table
+  snippet: 85 // the same label + price found in a SERP snippet
+};
+
+// Numbeo's "900-1,400" min-max bar as low/high amounts, when it's in the same currency as the price
+function parseRange(range, currency, country) {
+  const [low, high] = (range || '').split('-').map(part => parseAmount(part, country));
+  const sameCurrency = side => side && (!side.currency || side.currency === currency);
+  return sameCurrency(low) && sameCurrency(high) && low.amount <= high.amount ?
+    { low_amount: low.amount, high_amount: high.amount } :
+    { low_amount: null, high_amount: null };
+}
+
+function buildParsedResult(category, parsed, conversion, source, label, confidence, outsideCenter = null, range = null) {
+  const tiers = category.locationTiers ? {
+    city_center_amount: parsed.amount,
+    // Only usable when it's quoted in the same currency as the center price
+    outside_center_amount: outsideCenter && outsideCenter.currency === parsed.currency ? outsideCenter.amount : null,
+    neighborhoods: null
+  } : {};
+
+  return {
+    category: category.displayName,
+    category_key: category.name,
+    ...tiers,
+    amount: parsed.amount,
+    low_amount: range ? range.low_amount : null,
+    high_amount: range ? range.high_amount : null,
+    currency: parsed.currency,
+    usd_amount: conversion.usd_amount,
+    source: source,
+    context: label,
+    confidence: confidence,
+    as_of_date: null, // dated from the source (see freshness.js)
+    notes: 'Parsed from a published price table without an LLM',
+    value_source: 'parser',
+    model_used: null
+  };
+}
+
+// A parsed price is clean when both amount and currency are known and the currency converts to USD
+function convertParsedAmount(parsed, config) {
+  return parsed && parsed.currency ? convertToUSD(parsed.amount, parsed.currency, config) : null;
+}
+
+// Rule-based extraction: returns the same schema as extractCostData when a known site's price table
+// (from page evidence) or snippet has a clean value for this category, otherwise null.
+function extractStructuredCost(categoryPerception, category, country, config) {
+  const labels = PRICE_LABELS[category.name];
+  if (!labels) {
+    return null;
+  }
+
+  // 1. Rows from fetched price tables
+  for (const page of categoryPerception.sources.page_evidence || []) {
+    const label = labels[page.parser];
+    const row = label && (page.rows || []).find(r => label.test(r.item));
+    const parsed = row && parseAmount(row.price, country);
+    const conversion = convertParsedAmount(parsed, config);
+    if (conversion) {
+      const outsideLabel = OUTSIDE_CENTER_LABELS[category.name]?.[page.parser];
+      const outsideRow = outsideLabel && page.rows.find(r => outsideLabel.test(r.item));
+      const outsideCenter = outsideRow && parseAmount(outsideRow.price, country);
+      const range = parseRange(row.range, parsed.currency, country);
+      return buildParsedResult(category, parsed, conversion, page.url, row.item, PARSER_CONFIDENCE.page_table, outsideCenter, range);
+    }
+  }
+
+  // 2. "Label: price" in Numbeo/Expatistan SERP snippets
+  for (const result of categoryPerception.sources.google_search.organic || []) {
+    const site = /numbeo/.test(result.display_link || '') ? 'numbeo' :
+                 /expatistan/.test(result.display_link || '') ? 'expatistan' :
+                 null;
+    const label = site && new RegExp(labels[site].source.replace(/^\^/, ''), 'i');
+    const labelMatch = label && (result.description || '').match(label);
+    if (!labelMatch) {
+      continue;
+    }
+
+    const priceText = result.description.slice(labelMatch.index + labelMatch[0].length).match(/^[^\d]{0,20}\d[\d.,]*\s*[^\s\d.,]{0,3}/);
+    const parsed = priceText && parseAmount(priceText[0], country);
+    const conversion = convertParsedAmount(parsed, config);
+    if (conversion) {
+      return buildParsedResult(category, parsed, conversion, result.link, labelMatch[0], PARSER_CONFIDENCE.snippet);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  PAGE_PARSERS,
+  PRICE_LABELS,
+  getPageParser,
+  parseAmount,
+  extractStructuredCost,
+  parseNumbeoPage,
+  parseExpatistanPage,
+  htmlToText,
+  stripTags
+};
\ No newline at end of file
@@ -0,0 +1,50 @@
+// Purchasing power parity lookup by country and year, backed by datasets/ppp.json
+// (World Bank PA.NUS.PPP: local currency units per international dollar, keyed by ISO alpha-3 code),
+// with the same year's market exchange rate (PA.NUS.FCRF) so the two can be turned into a price level ratio.
+// Countries without data return null so callers can flag them instead of assuming USD parity.
+const PPP_TABLE = require('./datasets/ppp.json');
+const { findCountry } = require('./countries');
+
+// Years with both a PPP factor and a market rate
+function getPPPYears(iso3) {
+  return Object.keys(PPP_TABLE.factors[iso3] || {})
+    .filter(year => PPP_TABLE.market_rates[iso3]?.[year])
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+// Factor for a country (name, alias or ISO code). With a year, uses that year or the closest earlier one;
+// without, the latest year available for the country.
+function lookupPPP(country, year = null) {
+  const countryEntry = findCountry(country);
+  if (!countryEntry) {
+    return null;
+  }
+
+  const years = getPPPYears(countryEntry.iso3).filter(y => !year || y <= year);
+  if (years.length === 0) {
+    return null;
+  }
+
+  const usedYear = years[years.length - 1];
+  const value = PPP_TABLE.factors[countryEntry.iso3][usedYear];
+  const marketRate = PPP_TABLE.market_rates[countryEntry.iso3][usedYear];
+  return {
+    country: countryEntry.name,
+    iso3: countryEntry.iso3,
+    currency: countryEntry.currency,
+    value: value,
+    market_rate: marketRate,
+    // Local prices as a fraction of US prices: 0.6 means a dollar goes 1/0.6 = 1.67x as far as in the US
+    price_level_ratio: value / marketRate,
+    year: usedYear,
+    requested_year: year,
+    source: `${PPP_TABLE.source} (${PPP_TABLE.indicator})`
+  };
+}
+
+module.exports = {
+  PPP_TABLE,
+  getPPPYears,
+  lookupPPP
+};
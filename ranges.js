@@ -0,0 +1,106 @@
+// Low / typical / high value ranges - every cost carries a range instead of a single point estimate.
+// The range comes from the source when it gives one (Numbeo's min-max bar, or the model's low_amount/high_amount),
+// then from the spread of the triangulated candidates, otherwise it's derived from confidence: a 45%-confidence guess gets a much wider range than a 95% figure.
+// Ranges are summed into totals and budget verdicts, so a city can be "within budget at typical, over at high".
+const { getHouseholdFactor } = require('./categories');
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ± spread for a result without a sourced range: (100 - confidence)%, never narrower than config.minSpread
+function getConfidenceSpread(confidence, rangeConfig) {
+  return Math.max(rangeConfig.minSpread, (100 - (confidence || 0)) / 100);
+}
+
+// Sets result.usd_range = { low, typical, high, source } (per unit) and result.household_usd_range (× quantity/multiplier).
+// low_amount/high_amount are in the result's own currency, converted at the same rate as its amount.
+function applyValueRange(result, config) {
+  if (!result.usd_amount) {
+    result.usd_range = null;
+    result.household_usd_range = null;
+    return result;
+  }
+
+  const typical = result.usd_amount;
+  const usdPerUnit = result.amount > 0 ? typical / result.amount : null;
+  const low = usdPerUnit && result.low_amount > 0 ? roundCents(result.low_amount * usdPerUnit) : null;
+  const high = usdPerUnit && result.high_amount > 0 ? roundCents(result.high_amount * usdPerUnit) : null;
+
+  // Kept triangulation candidates, when they disagree
+  const candidateValues = (result.triangulation?.candidates || [])
+    .filter(candidate => !candidate.rejected && candidate.usd_amount > 0)
+    .map(candidate => candidate.usd_amount);
+  const candidateLow = candidateValues.length >= 2 ? Math.min(...candidateValues) : null;
+  const candidateHigh = candidateValues.length >= 2 ? Math.max(...candidateValues) : null;
+
+  if (low !== null && high !== null && low <= typical && typical <= high) {
+    result.usd_range = { low, typical, high, source: 'source' };
+  } else if (candidateLow !== null && candidateLow < candidateHigh && candidateLow <= typical && typical <= candidateHigh) {
+    result.usd_range = { low: candidateLow, typical, high: candidateHigh, source: 'candidates' };
+  } else {
+    const spread = getConfidenceSpread(result.confidence, config.valueRanges);
+    result.usd_range = {
+      low: roundCents(typical * (1 - Math.min(spread, 0.9))),
+      typical: typical,
+      high: roundCents(typical * (1 + spread)),
+      source: 'confidence'
+    };
+  }
+
+  const factor = getHouseholdFactor(result);
+  result.household_usd_range = {
+    low: roundCents(result.usd_range.low * factor),
+    typical: roundCents(result.usd_range.typical * factor),
+    high: roundCents(result.usd_range.high * factor),
+    source: result.usd_range.source
+  };
+  return result;
+}
+
+// Household range for a result; results from before ranges existed get a zero-width one
+function getHouseholdRange(result) {
+  if (result.household_usd_range) {
+    return result.household_usd_range;
+  }
+  const amount = result.household_usd_amount ?? result.usd_amount;
+  return { low: amount, typical: amount, high: amount, source: 'point' };
+}
+
+function sumRanges(ranges) {
+  return ranges.reduce((sum, range) => ({
+    low: sum.low + range.low,
+    typical: sum.typical + range.typical,
+    high: sum.high + range.high
+  }), { low: 0, typical: 0, high: 0 });
+}
+
+// How a total range sits against a budget:
+// 'within' (even the high end fits), 'within_at_typical' (over at high), 'within_at_low' (over at typical) or 'over'
+function getRangeVerdict(totalRange, budget) {
+  if (totalRange.high <= budget) {
+    return 'within';
+  }
+  if (totalRange.typical <= budget) {
+    return 'within_at_typical';
+  }
+  if (totalRange.low <= budget) {
+    return 'within_at_low';
+  }
+  return 'over';
+}
+
+// "$1,200–$1,650", or a single figure when low and high round to the same dollar
+function formatRange(range) {
+  const low = Math.round(range.low);
+  const high = Math.round(range.high);
+  return low === high ? `$${low.toLocaleString()}` : `$${low.toLocaleString()}–$${high.toLocaleString()}`;
+}
+
+module.exports = {
+  applyValueRange,
+  getHouseholdRange,
+  sumRanges,
+  getRangeVerdict,
+  formatRange
+};
\ No newline at end of file
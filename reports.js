@@ -2,12 +2,21 @@
  * Here's all the math performed in this module:
  * 
  * 1. COST AGGREGATION & RANKING:
- *    - Total cost = Σ(category.usd_amount) for all valid categories
- *    - PPP adjusted cost = Σ(ppp_adjusted_values) using purchasing power parity
- *    - Category averages = Σ(amounts) / count for cross-city comparison
+ *    - Household amount = usd_amount × quantity × multiplier, from the active profile in config.profiles
+ *    - Total cost = Σ(household amount) for the profile's valid categories marked includeInTotal
+ *    - Total range = Σ(household low / typical / high) - each range is from the source, or ±(100 - confidence)%
+ *    - Tier totals = total cost with each locationTiers category (rent) swapped for its city center /
+ *      outside center price: typical = the tier's price, best case = its cheapest named neighborhood
+ *    - Price level ratio = PPP factor / market exchange rate (same year; local prices as a fraction of US prices)
+ *    - PPP adjusted cost = Σ(household amount / price_level_ratio), the basket's US purchasing power equivalent
+ *      (null when the country has no PPP data - those cities are left out of the PPP ranking)
+ *    - Category averages = Σ(per-unit amounts) / count for cross-city comparison
  * 
  * 2. BUDGET ANALYSIS:
  *    - Budget utilization = (total_cost / monthly_budget) × 100
+ *    - Budget fit = the first of city center, outside center, best case (cheapest neighborhood) that fits
+ *    - Range verdict = within even at the high end / within at typical only / within at the low end only / over
+ *      (a within-at-typical-only verdict with a category below valueRanges.lowConfidenceThreshold is flagged)
  *    - Remaining budget = monthly_budget - total_cost
  *    - Budget efficiency = remote_work_score × (1 - (budget_utilization / 100) × 0.3)
  *      * Rewards cities with good remote work scores and lower budget usage
@@ -24,11 +33,125 @@
  *    - Averages: A simple arithmetic mean for category comparisons
  *    - Confidence scoring: A weighted average of data quality metrics
  */
+const {
+  LOCATION_TIERS,
+  getCostCategories,
+  getActiveProfile,
+  findCategoryResult,
+  formatCategoryDetail,
+  formatHouseholdQuantity,
+  getHouseholdAmount,
+  getHouseholdFactor,
+  sumIncludedCosts
+} = require('./categories');
+const { getHouseholdRange, sumRanges, getRangeVerdict, formatRange } = require('./ranges');
+const { SCORING_FACTORS } = require('./scoring');
+const CONFIG = require('./config');
+
+// Σ household ranges for the categories that count toward the total
+function sumIncludedRanges(results, categories) {
+  return sumRanges(categories
+    .filter(category => category.includeInTotal)
+    .map(category => findCategoryResult(results, category))
+    .filter(result => result && result.usd_amount)
+    .map(getHouseholdRange));
+}
+
+// Included categories below the low-confidence threshold, as [{ category, confidence }]
+function findLowConfidenceCategories(results, categories) {
+  return categories
+    .filter(category => category.includeInTotal)
+    .map(category => findCategoryResult(results, category))
+    .filter(result => result && result.usd_amount && result.confidence < CONFIG.valueRanges.lowConfidenceThreshold)
+    .map(result => ({ category: result.category, confidence: Math.round(result.confidence) }));
+}
+
+// Monthly total per location tier: the total with each tiered category's amount swapped for the tier's price.
+// Returns { city_center: { rent, typical_total, best_case_total }, ... } for the tiers any result has.
+function calculateTierTotals(results, categories, totalCost) {
+  const tierTotals = {};
+  const tieredCategories = categories.filter(category => category.locationTiers && category.includeInTotal);
+
+  Object.keys(LOCATION_TIERS).forEach(tier => {
+    let rent = 0;
+    let typicalTotal = totalCost;
+    let bestCaseTotal = totalCost;
+    let found = false;
+
+    tieredCategories.forEach(category => {
+      const result = findCategoryResult(results, category);
+      const tierData = result?.location_tiers?.[tier];
+      if (!tierData) {
+        return;
+      }
+      const factor = getHouseholdFactor(result);
+      const current = result.usd_amount ? getHouseholdAmount(result) : 0;
+      rent += tierData.usd_amount * factor;
+      typicalTotal += tierData.usd_amount * factor - current;
+      bestCaseTotal += tierData.best_case_usd_amount * factor - current;
+      found = true;
+    });
+
+    if (found) {
+      tierTotals[tier] = { rent: rent, typical_total: typicalTotal, best_case_total: bestCaseTotal };
+    }
+  });
+
+  return tierTotals;
+}
+
+// Where in the city the household's budget works: 'city_center', 'outside_center', 'best_case_only' or 'over_budget'.
+// 'outside_center' needs a measured center that's over budget; with only the outside tier, a fit is just 'within_budget'.
+// Without tier data (or when no tier fits but the overall total does) it's just 'within_budget' / 'over_budget'.
+function getBudgetFit(totalCost, tierTotals, budget) {
+  if (tierTotals.city_center && tierTotals.city_center.typical_total <= budget) {
+    return 'city_center';
+  }
+  if (tierTotals.outside_center && tierTotals.outside_center.typical_total <= budget) {
+    return tierTotals.city_center ? 'outside_center' : 'within_budget';
+  }
+  if (Object.values(tierTotals).some(tierTotal => tierTotal.best_case_total <= budget)) {
+    return 'best_case_only';
+  }
+  return totalCost <= budget ? 'within_budget' : 'over_budget';
+}
+
+const BUDGET_FIT_LABELS = {
+  within_budget: '✅ Fits',
+  city_center: '✅ Fits, including the city center',
+  outside_center: '⚠️ Fits only outside the center',
+  best_case_only: '⚠️ Fits only in the cheapest neighborhoods',
+  over_budget: '❌ Over budget everywhere'
+};
+
+// The household the totals and budget fit are computed for
+function describeHouseholdProfile(categories) {
+  const profile = getActiveProfile();
+  if (!profile) {
+    return null;
+  }
+  return {
+    name: profile.name,
+    display_name: profile.displayName,
+    description: profile.description || null,
+    household_size: profile.householdSize || null,
+    categories: categories.map(category => ({
+      name: category.name,
+      display_name: category.displayName,
+      quantity: category.quantity,
+      multiplier: category.multiplier
+    }))
+  };
+}
+
 function generateComparativeAnalysis(cityAnalyses, monthlyBudgetUSD = 2000) {
+  const categories = getCostCategories();
+
   const comparison = {
     timestamp: new Date().toISOString(),
     cities_compared: cityAnalyses.length,
     monthly_budget_usd: monthlyBudgetUSD,
+    household_profile: describeHouseholdProfile(categories),
     cost_rankings: {},
     category_analysis: {},
     budget_analysis: {},
@@ -41,17 +164,9 @@ function generateComparativeAnalysis(cityAnalyses, monthlyBudgetUSD = 2000) {
     }
   };
 
-  const standardCategories = [
-    '1BR Apartment Rent',
-    'Monthly Groceries',
-    'Public Transportation Monthly Pass',
-    'Monthly Utilities',
-    'Internet Speed & Cost'
-  ];
-
-  standardCategories.forEach(category => {
+  categories.forEach(category => {
     const categoryData = cityAnalyses.map(analysis => {
-      const catData = analysis.cost_analysis.cost_categories.find(c => c.category === category);
+      const catData = findCategoryResult(analysis.cost_analysis.cost_categories, category);
       return {
         city: analysis.city,
         amount: catData?.usd_amount || null,
@@ -61,7 +176,7 @@ function generateComparativeAnalysis(cityAnalyses, monthlyBudgetUSD = 2000) {
 
     if (categoryData.length > 0) {
       categoryData.sort((a, b) => (a.amount || 0) - (b.amount || 0));
-      comparison.category_analysis[category] = {
+      comparison.category_analysis[category.displayName] = {
         cities_with_data: categoryData.length,
         cheapest: categoryData[0],
         most_expensive: categoryData[categoryData.length - 1],
@@ -75,29 +190,42 @@ function generateComparativeAnalysis(cityAnalyses, monthlyBudgetUSD = 2000) {
   });
 
   const cityScores = cityAnalyses.map(analysis => {
-    const totalCost = analysis.cost_analysis.cost_categories
-      .filter(cat => cat.usd_amount)
-      .reduce((sum, cat) => sum + cat.usd_amount, 0);
+    // Only categories marked includeInTotal count toward the monthly total and budget
+    const totalCost = sumIncludedCosts(analysis.cost_analysis.cost_categories, categories);
     
-    const pppAdjustedTotal = Object.values(analysis.cost_analysis.ppp_analysis.ppp_adjusted || {})
+    const pppAdjusted = analysis.cost_analysis.ppp_analysis.ppp_adjusted;
+    const pppAdjustedTotal = pppAdjusted ? Object.values(pppAdjusted)
       .filter(val => typeof val === 'number')
-      .reduce((sum, val) => sum + val, 0);
+      .reduce((sum, val) => sum + val, 0) : null;
     
-    const internetData = analysis.cost_analysis.cost_categories.find(c => c.category === 'Internet Speed & Cost');
+    // Internet speed ranking comes from whichever category feeds the internet_quality score
+    const internetCategory = categories.find(category => category.scoring.some(entry => entry.hook === 'internet_quality'));
+    const internetField = internetCategory?.scoring.find(entry => entry.hook === 'internet_quality').field;
+    const internetData = internetCategory && findCategoryResult(analysis.cost_analysis.cost_categories, internetCategory);
     
     // Budget analysis
     const withinBudget = totalCost <= monthlyBudgetUSD;
     const budgetUtilization = (totalCost / monthlyBudgetUSD) * 100;
     const remainingBudget = monthlyBudgetUSD - totalCost;
+    const tierTotals = calculateTierTotals(analysis.cost_analysis.cost_categories, categories, totalCost);
+
+    // Uncertainty: the verdict at typical prices may not hold across the range
+    const totalCostRange = sumIncludedRanges(analysis.cost_analysis.cost_categories, categories);
+    const rangeVerdict = getRangeVerdict(totalCostRange, monthlyBudgetUSD);
+    const lowConfidenceCategories = findLowConfidenceCategories(analysis.cost_analysis.cost_categories, categories);
     
     return {
       city: analysis.city,
       country: analysis.country,
       total_cost: totalCost,
+      total_cost_range: totalCostRange,
       ppp_adjusted_cost: pppAdjustedTotal,
+      ppp_adjusted_range: analysis.cost_analysis.ppp_analysis.us_equivalent_range || null,
       ppp_factor: analysis.cost_analysis.ppp_analysis.ppp_factor,
+      ppp_year: analysis.cost_analysis.ppp_analysis.ppp_year || null,
+      price_level_ratio: analysis.cost_analysis.ppp_analysis.price_level_ratio ?? null,
       remote_work_score: analysis.remote_work_score || 0,
-      internet_speed: internetData?.internet_speed_mbps || null,
+      internet_speed: internetData?.[internetField] || null,
       internet_cost: internetData?.usd_amount || null,
       confidence: analysis.cost_analysis.total_confidence,
       data_quality: analysis.data_quality_score,
@@ -106,6 +234,11 @@ function generateComparativeAnalysis(cityAnalyses, monthlyBudgetUSD = 2000) {
       within_budget: withinBudget,
       budget_utilization: budgetUtilization,
       remaining_budget: remainingBudget,
+      tier_totals: tierTotals,
+      budget_fit: getBudgetFit(totalCost, tierTotals, monthlyBudgetUSD),
+      range_verdict: rangeVerdict,
+      low_confidence_categories: lowConfidenceCategories,
+      verdict_depends_on_low_confidence: rangeVerdict === 'within_at_typical' && lowConfidenceCategories.length > 0,
       budget_efficiency_score: withinBudget ? (analysis.remote_work_score || 0) * (1 - (budgetUtilization / 100) * 0.3) : 0
     };
   });
@@ -127,23 +260,31 @@ function generateComparativeAnalysis(cityAnalyses, monthlyBudgetUSD = 2000) {
       city: city.city,
       country: city.country,
       total_cost: city.total_cost,
+      total_cost_range: city.total_cost_range,
       remaining_budget: city.remaining_budget,
       budget_utilization: city.budget_utilization,
       remote_work_score: city.remote_work_score,
-      budget_efficiency_score: city.budget_efficiency_score
+      budget_efficiency_score: city.budget_efficiency_score,
+      range_verdict: city.range_verdict,
+      low_confidence_categories: city.low_confidence_categories,
+      verdict_depends_on_low_confidence: city.verdict_depends_on_low_confidence
     })),
     cities_over_budget: cityScores.filter(city => !city.within_budget).map(city => ({
       city: city.city,
       country: city.country,
       total_cost: city.total_cost,
+      total_cost_range: city.total_cost_range,
+      range_verdict: city.range_verdict,
       budget_overage: city.total_cost - monthlyBudgetUSD,
-      budget_utilization: city.budget_utilization
+      budget_utilization: city.budget_utilization,
+      budget_fit: city.budget_fit,
+      tier_totals: city.tier_totals
     }))
   };
   
   comparison.cost_rankings = {
     by_total_cost: cityScores,
-    by_ppp_adjusted_cost: [...cityScores].sort((a, b) => a.ppp_adjusted_cost - b.ppp_adjusted_cost),
+    by_ppp_adjusted_cost: [...cityScores].filter(c => c.ppp_adjusted_cost !== null).sort((a, b) => a.ppp_adjusted_cost - b.ppp_adjusted_cost),
     by_remote_work_score: [...cityScores].sort((a, b) => b.remote_work_score - a.remote_work_score),
     by_internet_speed: [...cityScores].filter(c => c.internet_speed).sort((a, b) => b.internet_speed - a.internet_speed),
     by_confidence: [...cityScores].sort((a, b) => b.confidence - a.confidence),
@@ -154,11 +295,15 @@ function generateComparativeAnalysis(cityAnalyses, monthlyBudgetUSD = 2000) {
   if (cityScores.length > 0) {
     comparison.summary.least_expensive = cityScores[0].city;
     comparison.summary.most_expensive = cityScores[cityScores.length - 1].city;
-    comparison.summary.best_ppp_value = comparison.cost_rankings.by_ppp_adjusted_cost[0].city;
+    comparison.summary.best_ppp_value = comparison.cost_rankings.by_ppp_adjusted_cost.length > 0 ?
+      comparison.cost_rankings.by_ppp_adjusted_cost[0].city : null;
     comparison.summary.best_remote_work_score = comparison.cost_rankings.by_remote_work_score[0].city;
     comparison.summary.fastest_internet = comparison.cost_rankings.by_internet_speed.length > 0 ? 
       comparison.cost_rankings.by_internet_speed[0].city : null;
     comparison.summary.best_data_quality = comparison.cost_rankings.by_data_quality[0].city;
+    comparison.summary.low_confidence_verdicts = cityScores
+      .filter(city => city.verdict_depends_on_low_confidence)
+      .map(city => city.city);
   }
 
   return comparison;
@@ -172,6 +317,12 @@ function generateMarkdownReport(cityAnalyses, comparativeAnalysis) {
   let markdown = `# I Asked an AI Agent Where to Live on $${budget.toLocaleString()}/Month. It Compared ${cityAnalyses.length} Cities for Remote Workers/Digital Nomads.\n\n`;
   markdown += `*AI-powered analysis generated on: ${new Date().toLocaleDateString()}*\n\n`;
 
+  const profile = comparativeAnalysis.household_profile;
+  if (profile) {
+    markdown += `**Household**: ${profile.display_name}${profile.description ? ` - ${profile.description}` : ''}. `;
+    markdown += 'All monthly costs and budget figures are for the whole household.\n\n';
+  }
+
   // Executive Summary
   markdown += '## The Verdict\n\n';
   
@@ -191,11 +342,20 @@ function generateMarkdownReport(cityAnalyses, comparativeAnalysis) {
     if (comparativeAnalysis.summary.fastest_internet) {
       markdown += `- **Fastest internet**: ${comparativeAnalysis.summary.fastest_internet}\n`;
     }
+    if (comparativeAnalysis.summary.low_confidence_verdicts.length > 0) {
+      markdown += `- ⚠️ **Verdict rests on low-confidence data**: ${comparativeAnalysis.summary.low_confidence_verdicts.join(', ')} (within budget at typical prices, over at the high end)\n`;
+    }
   } else {
     markdown += `**Reality Check: None of the ${cityAnalyses.length} cities analyzed fit within the $${budget.toLocaleString()}/month budget.**\n\n`;
     markdown += `The most affordable option is ${comparativeAnalysis.summary.least_expensive}, but even that exceeds the budget. `;
     markdown += `Here's what you'd need to make it work:\n\n`;
   }
+
+  // Over-budget cities that still work away from the center
+  const fitsAwayFromCenter = citiesOverBudget.filter(city => city.budget_fit === 'outside_center' || city.budget_fit === 'best_case_only');
+  if (fitsAwayFromCenter.length > 0) {
+    markdown += `\n**Outside the center**: ${fitsAwayFromCenter.map(city => city.city).join(', ')} ${fitsAwayFromCenter.length === 1 ? 'fits' : 'fit'} the budget if you live outside the city center.\n`;
+  }
   
   markdown += '\n';
 
@@ -210,7 +370,7 @@ function generateMarkdownReport(cityAnalyses, comparativeAnalysis) {
     citiesWithinBudget.forEach(city => {
       const cityDisplay = city.country ? `${city.city}, ${city.country}` : city.city;
       markdown += `| **${cityDisplay}** | `;
-      markdown += `$${Math.round(city.total_cost).toLocaleString()} | `;
+      markdown += `$${Math.round(city.total_cost).toLocaleString()} (${formatRange(city.total_cost_range)}) | `;
       markdown += `$${Math.round(city.remaining_budget).toLocaleString()} | `;
       markdown += `${Math.round(city.budget_utilization)}% | `;
       markdown += `${city.remote_work_score}/100 | `;
@@ -218,6 +378,18 @@ function generateMarkdownReport(cityAnalyses, comparativeAnalysis) {
     });
     
     markdown += '\n';
+
+    // Within budget at typical prices, but not across the whole range
+    citiesWithinBudget.filter(city => city.range_verdict !== 'within').forEach(city => {
+      markdown += `- ${city.verdict_depends_on_low_confidence ? '⚠️ ' : ''}**${city.city}** is within budget at typical prices but over at the high end ($${Math.round(city.total_cost_range.high).toLocaleString()})`;
+      if (city.verdict_depends_on_low_confidence) {
+        markdown += `; this rests on low-confidence data: ${city.low_confidence_categories.map(c => `${c.category} (${c.confidence}%)`).join(', ')}`;
+      }
+      markdown += '\n';
+    });
+    if (citiesWithinBudget.some(city => city.range_verdict !== 'within')) {
+      markdown += '\n';
+    }
   }
   
   if (citiesOverBudget.length > 0) {
@@ -230,33 +402,79 @@ function generateMarkdownReport(cityAnalyses, comparativeAnalysis) {
     citiesOverBudget.forEach(city => {
       const cityDisplay = city.country ? `${city.city}, ${city.country}` : city.city;
       markdown += `| **${cityDisplay}** | `;
-      markdown += `$${Math.round(city.total_cost).toLocaleString()} | `;
+      markdown += `$${Math.round(city.total_cost).toLocaleString()} (${formatRange(city.total_cost_range)}) | `;
       markdown += `$${Math.round(city.budget_overage).toLocaleString()} | `;
       markdown += `${Math.round(city.budget_utilization)}% |\n`;
     });
     
     markdown += '\n';
+
+    citiesOverBudget.filter(city => city.range_verdict === 'within_at_low').forEach(city => {
+      markdown += `- **${city.city}** could fit at the low end of its range ($${Math.round(city.total_cost_range.low).toLocaleString()}/month)\n`;
+    });
+
+    citiesOverBudget.filter(city => city.budget_fit === 'outside_center' || city.budget_fit === 'best_case_only').forEach(city => {
+      const outside = city.tier_totals.outside_center;
+      if (city.budget_fit === 'outside_center') {
+        markdown += `- **${city.city}** fits the budget only outside the center: about $${Math.round(outside.typical_total).toLocaleString()}/month typical, $${Math.round(outside.best_case_total).toLocaleString()} best case\n`;
+      } else {
+        const bestCase = Math.min(...Object.values(city.tier_totals).map(tierTotal => tierTotal.best_case_total));
+        markdown += `- **${city.city}** fits the budget only in its cheapest neighborhoods: about $${Math.round(bestCase).toLocaleString()}/month best case\n`;
+      }
+    });
+    markdown += '\n';
+  }
+
+  // Rent by location: best-case and typical totals for each tier
+  const tieredCities = comparativeAnalysis.cost_rankings.by_total_cost.filter(city => Object.keys(city.tier_totals).length > 0);
+  if (tieredCities.length > 0) {
+    markdown += '## Budget by Location\n\n';
+    markdown += 'Monthly totals with rent at city center vs outside-center prices (typical / best case, best case = cheapest neighborhood found):\n\n';
+
+    markdown += '| City | ';
+    Object.values(LOCATION_TIERS).forEach(label => {
+      markdown += `Rent (${label}) | Total (${label}) | `;
+    });
+    markdown += 'Budget Fit |\n';
+    markdown += '|------|';
+    Object.keys(LOCATION_TIERS).forEach(() => {
+      markdown += '------|-------|';
+    });
+    markdown += '------------|\n';
+
+    tieredCities.forEach(city => {
+      const cityDisplay = city.country ? `${city.city}, ${city.country}` : city.city;
+      markdown += `| **${cityDisplay}** | `;
+      Object.keys(LOCATION_TIERS).forEach(tier => {
+        const tierTotal = city.tier_totals[tier];
+        if (!tierTotal) {
+          markdown += 'N/A | N/A | ';
+          return;
+        }
+        const bestCase = Math.round(tierTotal.best_case_total) < Math.round(tierTotal.typical_total) ?
+          ` / $${Math.round(tierTotal.best_case_total).toLocaleString()}` : '';
+        markdown += `$${Math.round(tierTotal.rent).toLocaleString()} | `;
+        markdown += `$${Math.round(tierTotal.typical_total).toLocaleString()}${bestCase} | `;
+      });
+      markdown += `${BUDGET_FIT_LABELS[city.budget_fit]} |\n`;
+    });
+
+    markdown += '\n';
   }
 
   // Detailed Cost Breakdown
   markdown += '## Complete Cost Breakdown\n\n';
 
-  const standardCategories = [
-    '1BR Apartment Rent',
-    'Monthly Groceries',
-    'Public Transportation Monthly Pass',
-    'Monthly Utilities',
-    'Internet Speed & Cost'
-  ];
+  const categories = getCostCategories();
 
   markdown += '| City | ';
-  standardCategories.forEach(category => {
-    markdown += `${category} | `;
+  categories.forEach(category => {
+    markdown += `${category.displayName}${category.includeInTotal ? '' : ' (not in total)'} | `;
   });
   markdown += 'Total | Budget Status | Remote Score |\n';
 
   markdown += '|------|';
-  standardCategories.forEach(() => {
+  categories.forEach(() => {
     markdown += '---------|';
   });
   markdown += '-------|---------------|-------------|\n';
@@ -269,16 +487,15 @@ function generateMarkdownReport(cityAnalyses, comparativeAnalysis) {
     
     let totalCost = 0;
     
-    standardCategories.forEach(category => {
-      const catData = analysis.cost_analysis.cost_categories.find(c => c.category === category);
+    categories.forEach(category => {
+      const catData = findCategoryResult(analysis.cost_analysis.cost_categories, category);
       
       if (catData?.usd_amount) {
-        if (category === 'Internet Speed & Cost' && catData.internet_speed_mbps) {
-          markdown += `$${catData.usd_amount.toFixed(0)} (${catData.internet_speed_mbps}Mbps) | `;
-        } else {
-          markdown += `$${catData.usd_amount.toFixed(0)} | `;
+        const details = [formatHouseholdQuantity(catData), formatCategoryDetail(category, catData)].filter(Boolean);
+        markdown += `$${getHouseholdAmount(catData).toFixed(0)}${details.length > 0 ? ` (${details.join(', ')})` : ''} | `;
+        if (category.includeInTotal) {
+          totalCost += getHouseholdAmount(catData);
         }
-        totalCost += catData.usd_amount;
       } else {
         markdown += 'N/A | ';
       }
@@ -317,24 +534,106 @@ function generateMarkdownReport(cityAnalyses, comparativeAnalysis) {
       } else {
         markdown += `**Budget Status**: ❌ **Over budget** - Would cost $${Math.round(cityScore.total_cost - budget).toLocaleString()} more than your $${budget.toLocaleString()} budget\n`;
       }
+      if (!cityScore.within_budget && (cityScore.budget_fit === 'outside_center' || cityScore.budget_fit === 'best_case_only')) {
+        markdown += `**Where It Fits**: ${BUDGET_FIT_LABELS[cityScore.budget_fit]}\n`;
+      }
+      markdown += `**Monthly Cost Range**: ${formatRange(cityScore.total_cost_range)} (typical $${Math.round(cityScore.total_cost).toLocaleString()})\n`;
+      if (cityScore.verdict_depends_on_low_confidence) {
+        markdown += `**⚠️ Uncertain Verdict**: over budget at the high end, and ${cityScore.low_confidence_categories.map(c => `${c.category} (${c.confidence}%)`).join(', ')} ${cityScore.low_confidence_categories.length === 1 ? 'is' : 'are'} low-confidence\n`;
+      }
     }
     
     markdown += `**Remote Work Score**: ${analysis.remote_work_score || 0}/100\n`;
-    const pppFactor = analysis.cost_analysis.ppp_analysis.ppp_factor || 1.0;
-    markdown += `**PPP Factor**: ${pppFactor.toFixed(3)} (purchasing power vs USD)\n`;
+    // What each factor scored and how much of the total it makes up (factors without data don't count)
+    (analysis.remote_work_factors || []).forEach(factor => {
+      markdown += factor.score === null ?
+        `  - ${factor.display_name}: no data\n` :
+        `  - ${factor.display_name}: ${factor.score}/100 (${factor.display_value}) × ${Math.round(factor.share * 100)}% weight = ${factor.points} pts\n`;
+    });
+    const pppAnalysis = analysis.cost_analysis.ppp_analysis;
+    if (typeof pppAnalysis.price_level_ratio === 'number') {
+      markdown += `**Price Level**: ${Math.round(pppAnalysis.price_level_ratio * 100)}% of US prices (PPP factor ${pppAnalysis.ppp_factor} / market rate ${pppAnalysis.market_rate}, ${pppAnalysis.ppp_year} data)\n`;
+      if (cityScore && cityScore.total_cost > 0 && pppAnalysis.us_equivalent_total) {
+        const usRange = pppAnalysis.us_equivalent_range ? `, range ${formatRange(pppAnalysis.us_equivalent_range)}` : '';
+        markdown += `**US Purchasing Power Equivalent**: this $${Math.round(cityScore.total_cost).toLocaleString()} basket would cost about $${pppAnalysis.us_equivalent_total.toLocaleString()} at US prices${usRange} (USD income goes ${pppAnalysis.purchasing_power_multiplier}x as far)\n`;
+      }
+      if (pppAnalysis.local_currency && pppAnalysis.local_currency.currency !== 'USD') {
+        markdown += `**Local Salary View**: ${pppAnalysis.local_currency.total.toLocaleString()} ${pppAnalysis.local_currency.currency}/month - on a local salary, that weighs as much as $${pppAnalysis.us_equivalent_total.toLocaleString()}/month does for a US earner\n`;
+      }
+    } else {
+      markdown += `**Price Level**: ⚠️ not available (no PPP data for ${analysis.country}, costs not adjusted)\n`;
+    }
     markdown += `**Data Confidence**: ${analysis.cost_analysis.total_confidence}%\n`;
 
     if (analysis.cost_analysis.cost_categories.length > 0) {
       markdown += '\n**Monthly Costs:**\n';
       analysis.cost_analysis.cost_categories.forEach(cat => {
         if (cat.usd_amount) {
-          let costDisplay = `$${cat.usd_amount.toFixed(0)}`;
+          let costDisplay = `$${getHouseholdAmount(cat).toFixed(0)}`;
+          const quantity = formatHouseholdQuantity(cat);
+          if (quantity) {
+            costDisplay += ` (${quantity})`;
+          }
+
+          const category = categories.find(c => c.name === cat.category_key);
+          const detail = category ? formatCategoryDetail(category, cat) : '';
+          if (detail) {
+            costDisplay += ` - ${detail}`;
+          }
+          const range = getHouseholdRange(cat);
+          if (range.low !== range.high) {
+            costDisplay += ` [${formatRange(range)}${range.source === 'confidence' ? ', from confidence' : ''}]`;
+          }
+          // How many sources the value was triangulated from
+          if (cat.triangulation && cat.triangulation.candidates.length > 1) {
+            const rejected = cat.triangulation.rejected > 0 ? `, ${cat.triangulation.rejected} rejected` : '';
+            costDisplay += ` (${cat.triangulation.kept} of ${cat.triangulation.candidates.length} sources${rejected})`;
+          }
+
+          // Cite the local amount and the exchange rate used to convert it
+          if (cat.exchange_rate && cat.exchange_rate.currency !== 'USD') {
+            costDisplay += ` (${cat.amount.toLocaleString()} ${cat.exchange_rate.currency} at ${cat.exchange_rate.rate_per_usd}/USD, rates as of ${cat.exchange_rate.as_of})`;
+          }
+          if (cat.conversion_warning) {
+            costDisplay += ` ⚠️ ${cat.conversion_warning}`;
+          }
           
-          if (cat.category === 'Internet Speed & Cost' && cat.internet_speed_mbps) {
-            costDisplay += ` - ${cat.internet_speed_mbps} Mbps`;
+          if (cat.validation?.status === 'corrected') {
+            costDisplay += ` 🔧 corrected from $${cat.validation.original_usd_amount}`;
+          }
+
+          // How old the figure is, and whether it was brought forward by inflation
+          if (cat.freshness?.as_of) {
+            costDisplay += ` (as of ${cat.freshness.as_of}${cat.freshness.stale ? ', ⚠️ stale' : ''})`;
+          }
+          if (cat.freshness?.cpi_adjustment) {
+            const adjustment = cat.freshness.cpi_adjustment;
+            costDisplay += ` (CPI-adjusted from ${adjustment.from}: +${Math.round((adjustment.factor - 1) * 100)}%)`;
           }
           
           markdown += `- ${cat.category}: ${costDisplay}\n`;
+
+          // Rent by location, with the cheapest named neighborhood when there is one
+          Object.entries(cat.location_tiers || {}).forEach(([tier, tierData]) => {
+            const cheapest = tierData.neighborhoods[0];
+            const from = cheapest && cheapest.usd_amount < tierData.usd_amount ?
+              `, from $${cheapest.usd_amount.toFixed(0)} in ${cheapest.name}` : '';
+            markdown += `  - ${LOCATION_TIERS[tier]}: $${tierData.usd_amount.toFixed(0)}${from}\n`;
+          });
+
+          // Domains the value came from, cited source first, with their reliability (sources.js)
+          if (cat.source_domains && cat.source_domains.length > 0) {
+            const domains = cat.source_domains.map(source => {
+              const flags = [
+                source.cited ? 'cited' : null,
+                `${Math.round(source.reliability * 100)}% reliable`,
+                source.as_of ? `as of ${source.as_of}` : null,
+                source.source_type === 'content_farm' ? '⚠️ content farm' : null
+              ].filter(Boolean);
+              return `${source.domain} (${flags.join(', ')})`;
+            });
+            markdown += `  - Sources: ${domains.join('; ')}\n`;
+          }
         }
       });
     }
@@ -342,22 +641,99 @@ function generateMarkdownReport(cityAnalyses, comparativeAnalysis) {
     markdown += '\n';
   });
 
+  // Data Validation: values that failed the sanity checks, and what happened to them
+  if (CONFIG.validation.enabled) {
+    markdown += '## Data Validation\n\n';
+    const flagged = cityAnalyses.flatMap(analysis => analysis.cost_analysis.cost_categories
+      .filter(cat => cat.validation && cat.validation.status !== 'passed')
+      .map(cat => ({ city: analysis.city, cat })));
+
+    if (flagged.length === 0) {
+      markdown += 'Every extracted value passed the plausibility and cross-category checks.\n\n';
+    } else {
+      flagged.forEach(({ city, cat }) => {
+        const reasons = cat.validation.issues.map(issue => issue.message).join('; ');
+        if (cat.validation.status === 'corrected') {
+          markdown += `- 🔧 **${city}** - ${cat.category}: $${cat.validation.original_usd_amount} re-extracted as $${cat.usd_amount} (${reasons})\n`;
+        } else {
+          markdown += `- ❌ **${city}** - ${cat.category}: $${cat.validation.rejected_usd_amount} rejected and left out of the totals (${reasons})\n`;
+        }
+      });
+      markdown += '\n';
+    }
+  }
+
   // Methodology
   markdown += '## 🔬 Methodology\n\n';
   markdown += 'This analysis was conducted by an AI agent system that:\n\n';
-  markdown += '1. **Searched** cost-of-living data from multiple sources (Numbeo, Expatistan)\n';
-  markdown += '2. **Extracted** pricing for 5 key categories: rent, groceries, transportation, utilities, and internet\n';
-  markdown += '3. **Analyzed** remote work suitability based on internet infrastructure and cost efficiency\n';
-  markdown += '4. **Applied** purchasing power parity (PPP) adjustments for fair comparison\n';
-  markdown += '5. **Calculated** budget efficiency scores to determine the best value within your budget\n\n';
+  const steps = [
+    '**Searched** cost-of-living data from multiple sources (Numbeo, Expatistan)',
+    '**Weighted** every source by domain reliability, snippet date and duplication, so content farms and stale pages count for less',
+    CONFIG.freshness.enabled ?
+      `**Dated** every value (as-of date from the sources or search results), discounting confidence for age and flagging figures over ${CONFIG.freshness.staleYears} years old as stale${CONFIG.freshness.cpiAdjust ? ', with older figures brought forward by CPI inflation' : ''}` : null,
+    `**Extracted** pricing for ${categories.length} key categories: ${categories.map(c => c.displayName).join(', ')}`,
+    CONFIG.triangulation.enabled ?
+      '**Cross-checked** each category across several search strategies, dropping outliers and scoring confidence by agreement' : null,
+    CONFIG.validation.enabled ?
+      '**Validated** every value against plausible ranges (scaled to each country\'s price level) and cross-category ratios, re-extracting or rejecting failures' : null,
+    `**Scored** remote work suitability as a weighted average of ${Object.entries(CONFIG.remoteWorkWeights)
+      .filter(([factorName, weight]) => SCORING_FACTORS[factorName] && weight > 0)
+      .map(([factorName, weight]) => `${SCORING_FACTORS[factorName].displayName.toLowerCase()} (${weight})`)
+      .join(', ')}, skipping factors without data`,
+    '**Compared** price levels (PPP factor vs market exchange rate) to express costs in US purchasing power',
+    '**Calculated** budget efficiency scores to determine the best value within your budget',
+    '**Carried** low / typical / high ranges through totals and budget verdicts (source ranges where given, otherwise ±(100 - confidence)%)'
+  ].filter(Boolean);
+  steps.forEach((step, index) => {
+    markdown += `${index + 1}. ${step}\n`;
+  });
+  markdown += '\n';
   markdown += `**Budget**: $${budget.toLocaleString()}/month USD\n`;
+  if (profile) {
+    const quantities = profile.categories
+      .map(c => `${c.display_name}${c.quantity * c.multiplier !== 1 ? ` × ${Math.round(c.quantity * c.multiplier * 100) / 100}` : ''}`);
+    markdown += `**Household Profile**: ${profile.name} (${quantities.join(', ')})\n`;
+  }
   markdown += `**Cities Analyzed**: ${cityAnalyses.length}\n`;
   markdown += `**Average Data Confidence**: ${(cityAnalyses.reduce((sum, a) => sum + a.cost_analysis.total_confidence, 0) / cityAnalyses.length).toFixed(1)}%\n`;
 
+  // PPP years actually used (countries can have different latest years)
+  const pppYears = [...new Set(cityAnalyses.map(a => a.cost_analysis.ppp_analysis.ppp_year).filter(Boolean))].sort();
+  if (pppYears.length > 0) {
+    markdown += `**PPP Data**: World Bank PPP conversion factors and market exchange rates, ${pppYears.join(', ')}\n`;
+  }
+
+  // Exchange-rate tables used for USD conversion
+  const rateTables = [...new Set(cityAnalyses.flatMap(a => a.cost_analysis.cost_categories)
+    .filter(cat => cat.exchange_rate)
+    .map(cat => `${cat.exchange_rate.as_of} (${cat.exchange_rate.source})`))];
+  if (rateTables.length > 0) {
+    markdown += `**Exchange Rates**: ${rateTables.join('; ')}\n`;
+  }
+
+  // Inflation adjustments: brought forward to the exchange rates' date, stopping where the CPI data ends
+  const cpiAdjustments = cityAnalyses.flatMap(a => a.cost_analysis.cost_categories)
+    .map(cat => cat.freshness?.cpi_adjustment)
+    .filter(Boolean);
+  if (cpiAdjustments.length > 0) {
+    const targets = [...new Set(cpiAdjustments.map(adjustment => adjustment.to).filter(Boolean))];
+    const capped = cpiAdjustments.filter(adjustment => adjustment.capped);
+    const target = targets.length > 0 ? ` to ${targets.join(', ')} (the exchange rates' date)` : '';
+    const cappedNote = capped.length > 0 ? `, ${capped.length} only through ${Math.max(...capped.map(adjustment => adjustment.cpi_through))} where the CPI data ends` : '';
+    markdown += `**CPI Data**: World Bank consumer price inflation, ${cpiAdjustments.length} figures brought forward${target}${cappedNote}\n`;
+  }
+
+  // Which models actually produced the numbers and summaries
+  const extractionModels = [...new Set(cityAnalyses.flatMap(a => (a.reasoning_model || '').split(', ')).filter(Boolean))];
+  const summaryModels = [...new Set(cityAnalyses.map(a => a.summary_model).filter(Boolean))];
+  markdown += `**Cost Extraction Model**: ${extractionModels.join(', ') || 'n/a'}\n`;
+  markdown += `**Summary Model**: ${summaryModels.join(', ') || 'n/a'}\n`;
+
   return markdown;
 }
 
 module.exports = {
+  getBudgetFit,
   generateComparativeAnalysis,
   generateMarkdownReport
 }; 
\ No newline at end of file
@@ -1,64 +1,320 @@
-function getPPPFactor(country, pppData) {
-  const pppEntry = pppData.find(p => p.country === country);
-  return pppEntry ? pppEntry.value : 1.0;
+const { lookupPPP } = require('./ppp');
+const { findCountry } = require('./countries');
+const { loadExchangeRates } = require('./currency');
+const { sumRanges } = require('./ranges');
+const { getHouseholdAmount } = require('./categories');
+
+// PPP entry ({ value, year, iso3, ... }) for a country, or null when there's no data for it
+function getPPPFactor(country, pppConfig = {}) {
+  return lookupPPP(country, pppConfig.year);
 }
 
-function calculatePPPAdjustedCosts(costs, country, pppData) {
-  const pppFactor = getPPPFactor(country, pppData); // Recommend using an FX API to get the PPP factor for a country
+// PPP comparison of a city's USD costs, using the price level ratio (PPP factor / market exchange rate):
+// - ppp_adjusted: what each cost would be at US prices, i.e. its US purchasing power equivalent (usd / ratio)
+// - local_currency: the same costs in local currency at today's rate, for someone earning a local salary
+// - us_equivalent_range: the low/typical/high total at US prices, when costRanges ({ key: { low, typical, high } }) are given
+// Raw PPP factors are in local currency units, so they can't be applied to USD amounts directly.
+function calculatePPPAdjustedCosts(costs, country, config, costRanges = null) {
+  const pppEntry = getPPPFactor(country, config.ppp);
+
+  // No factor for this country: leave costs unadjusted and mark it, rather than assuming USD parity
+  if (!pppEntry) {
+    return {
+      original: costs || {},
+      ppp_adjusted: null,
+      ppp_factor: null,
+      ppp_year: null,
+      price_level_ratio: null,
+      ppp_country_code: findCountry(country)?.iso3 || null,
+      ppp_missing: true,
+      explanation: findCountry(country) ? `No PPP data for ${findCountry(country).name}` : `Unknown country: ${country}`
+    };
+  }
+
+  const priceLevelRatio = pppEntry.price_level_ratio;
   const adjustedCosts = {};
   
   Object.entries(costs || {}).forEach(([key, value]) => {
     if (typeof value === 'number' && value > 0 && !isNaN(value)) {
-      adjustedCosts[key] = value * pppFactor;
+      adjustedCosts[key] = Math.round((value / priceLevelRatio) * 100) / 100;
     } else {
       adjustedCosts[key] = 0;
     }
   });
+
+  const total = Object.values(costs || {}).filter(v => typeof v === 'number' && v > 0).reduce((sum, v) => sum + v, 0);
+  const usEquivalentTotal = Object.values(adjustedCosts).reduce((sum, v) => sum + v, 0);
+
+  // Local salary perspective: the basket in local currency at today's rate (not the PPP year's)
+  const rates = loadExchangeRates(config);
+  const localRate = rates.rates[pppEntry.currency];
+  const localCurrency = localRate ? {
+    currency: pppEntry.currency,
+    rate_per_usd: localRate,
+    as_of: rates.as_of,
+    total: Math.round(total * localRate)
+  } : null;
+
+  const totalRange = costRanges && Object.keys(costRanges).length > 0 ? sumRanges(Object.values(costRanges)) : null;
+  const usEquivalentRange = totalRange ? {
+    low: Math.round(totalRange.low / priceLevelRatio),
+    typical: Math.round(totalRange.typical / priceLevelRatio),
+    high: Math.round(totalRange.high / priceLevelRatio)
+  } : null;
+
+  const pricePercent = Math.round(priceLevelRatio * 100);
   
   return {
     original: costs || {},
     ppp_adjusted: adjustedCosts,
-    ppp_factor: pppFactor,
-    explanation: pppFactor < 1 ? 'Lower costs due to higher purchasing power' : 
-                 pppFactor > 1 ? 'Higher costs due to lower purchasing power' : 
-                 'USD baseline'
+    ppp_factor: pppEntry.value,
+    market_rate: pppEntry.market_rate,
+    price_level_ratio: Math.round(priceLevelRatio * 1000) / 1000,
+    purchasing_power_multiplier: Math.round((1 / priceLevelRatio) * 100) / 100,
+    us_equivalent_total: Math.round(usEquivalentTotal),
+    us_equivalent_range: usEquivalentRange,
+    local_currency: localCurrency,
+    ppp_year: pppEntry.year,
+    ppp_country_code: pppEntry.iso3,
+    ppp_source: pppEntry.source,
+    ppp_missing: false,
+    explanation: pricePercent === 100 ? 'USD baseline' :
+                 `Prices are ${pricePercent}% of US levels: $100 here buys what $${Math.round(100 / priceLevelRatio)} buys in the US`
   };
 }
 
-function calculateRemoteWorkScore(analysis, weights) {
-  let totalScore = 0;
-  let totalWeight = 0;
-  
-  // Cost of Living Score = 70% of total score
-  const costCategories = analysis.cost_analysis.cost_categories.filter(c => 
-    ['1BR Apartment Rent', 'Monthly Groceries', 'Monthly Utilities'].includes(c.category) && c.usd_amount
-  );
-  
-  if (costCategories.length > 0) {
-    const avgMonthlyCost = costCategories.reduce((sum, c) => sum + c.usd_amount, 0);
-    const costScore = Math.max(0, Math.min(100, 100 - ((avgMonthlyCost - 500) / 2500) * 100));
-    totalScore += costScore * weights.cost_of_living;
-    totalWeight += weights.cost_of_living;
+// Normalization curves: put a factor's raw value on 0-100, shaped by its curve options ({ type, min, max, floor })
+const SCORING_CURVES = {
+  // min -> 0, max -> 100
+  linear: (value, curve) => 100 * (value - curve.min) / (curve.max - curve.min),
+  // min -> 100, max -> 0, for costs where cheaper is better
+  inverse: (value, curve) => 100 * (curve.max - value) / (curve.max - curve.min),
+  // Diminishing returns, 0 -> 0 and max -> 100; min sets how quickly it saturates (10 Mbps ~ 29 with min 10, max 100)
+  log: (value, curve) => 100 * (Math.log(value + curve.min) - Math.log(curve.min)) / (Math.log(curve.max + curve.min) - Math.log(curve.min)),
+  boolean: (value) => value ? 100 : 0
+};
+
+// Raw inputs from the categories feeding a factor (entries = [{ result, options }], options = the category's scoring entry).
+// Costs are summed for the whole household (quantity × multiplier), the same as the report's totals.
+function sumAmounts(entries) {
+  const amounts = entries.map(({ result }) => result.usd_amount && getHouseholdAmount(result)).filter(Boolean);
+  return amounts.length > 0 ? amounts.reduce((sum, amount) => sum + amount, 0) : null;
+}
+
+function firstField(entries) {
+  const values = entries.map(({ result, options }) => result[options.field]).filter(value => value !== null && value !== undefined);
+  return values.length > 0 ? values[0] : null;
+}
+
+// 0-100 from config.scoringFactors.countryScores, keyed by country name or ISO code
+function getCountryScore(city, factorName, config) {
+  const cityCountry = findCountry(city.country_code || city.country);
+  const entry = Object.entries(config.scoringFactors.countryScores)
+    .find(([country]) => cityCountry && findCountry(country)?.iso2 === cityCountry.iso2);
+  return entry?.[1][factorName] ?? null;
+}
+
+// UTC offset of an IANA time zone at a given moment, in hours
+function getUtcOffsetHours(timeZone, date = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+  const localAsUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return (localAsUTC - Math.floor(date.getTime() / 60000) * 60000) / 3600000;
+}
+
+// Hours the city's working day overlaps the target zone's (same workingHours in both, at the offsets on the given date,
+// so DST counts: London and New York are 4 hours apart for a few weeks each spring and autumn, 5 the rest of the year)
+function getWorkingHoursOverlap(cityTimezone, targetTimezone, workingHours, date = new Date()) {
+  if (!cityTimezone || !targetTimezone) {
+    return null;
   }
-  
-  // Internet Quality Score = 30% of total score
-  const internetData = analysis.cost_analysis.cost_categories.find(c => c.category === 'Internet Speed & Cost');
-  if (internetData && internetData.internet_speed_mbps) {
-    const speed = internetData.internet_speed_mbps;
-    const minSpeed = 10;
-    const maxSpeed = 100;
-    const internetScore = Math.max(5, Math.min(100, 
-      100 * (Math.log(speed + minSpeed) - Math.log(minSpeed)) / (Math.log(maxSpeed + minSpeed) - Math.log(minSpeed))
-    ));
-    totalScore += internetScore * weights.internet_quality;
-    totalWeight += weights.internet_quality;
+  const hoursAhead = getUtcOffsetHours(cityTimezone, date) - getUtcOffsetHours(targetTimezone, date);
+  // The city's working day in target-zone hours, checked against the target's day before, same day and day after
+  return Math.max(...[-24, 0, 24].map(dayShift => {
+    const start = workingHours.start - hoursAhead + dayShift;
+    const end = workingHours.end - hoursAhead + dayShift;
+    return Math.max(0, Math.min(end, workingHours.end) - Math.max(start, workingHours.start));
+  }));
+}
+
+// Remote work score factors. Each one turns its input ({ entries, city, config }: the results of the categories
+// feeding it, the agent's city and the config) into a raw value, or null when there's no data, and puts it on
+// its curve. Categories feed a factor by naming it in their `scoring`; weights come from remoteWorkWeights.
+const SCORING_FACTORS = {
+  cost_of_living: {
+    displayName: 'Cost of living',
+    curve: { type: 'inverse', min: 500, max: 3000 },
+    input: ({ entries }) => sumAmounts(entries),
+    format: value => `$${Math.round(value).toLocaleString()}/month`
+  },
+
+  internet_quality: {
+    displayName: 'Internet speed',
+    curve: { type: 'log', min: 10, max: 100, floor: 5 },
+    input: ({ entries }) => firstField(entries),
+    format: value => `${value} Mbps`
+  },
+
+  internet_reliability: {
+    displayName: 'Internet reliability',
+    curve: { type: 'linear', min: 0, max: 100 },
+    input: ({ entries }) => firstField(entries),
+    format: value => `${value}/100`
+  },
+
+  fiber_availability: {
+    displayName: 'Fiber availability',
+    curve: { type: 'boolean' },
+    input: ({ entries }) => firstField(entries),
+    format: value => value ? 'widely available' : 'limited'
+  },
+
+  coworking_cost: {
+    displayName: 'Coworking cost',
+    curve: { type: 'inverse', min: 50, max: 400 },
+    input: ({ entries }) => sumAmounts(entries),
+    format: value => `$${Math.round(value).toLocaleString()}/month`
+  },
+
+  // Needs scoringFactors.targetTimezone (--target-timezone) and the city's time zone from the gazetteer
+  timezone_overlap: {
+    displayName: 'Time-zone overlap',
+    curve: { type: 'linear', min: 0, max: 8 },
+    // On the agent's reference date, so a replay scores the offsets the recording had
+    input: ({ city, config }) => getWorkingHoursOverlap(city.timezone, config.scoringFactors.targetTimezone, config.scoringFactors.workingHours,
+      city.reference_date ? new Date(city.reference_date) : new Date()),
+    format: value => `${Math.round(value * 10) / 10}h of working hours`
+  },
+
+  // From a category field when one feeds it, otherwise scoringFactors.countryScores
+  visa_ease: {
+    displayName: 'Visa ease',
+    curve: { type: 'linear', min: 0, max: 100 },
+    input: ({ entries, city, config }) => firstField(entries) ?? getCountryScore(city, 'visa_ease', config),
+    format: value => `${value}/100`
+  },
+
+  safety: {
+    displayName: 'Safety',
+    curve: { type: 'linear', min: 0, max: 100 },
+    input: ({ entries, city, config }) => firstField(entries) ?? getCountryScore(city, 'safety', config),
+    format: value => `${value}/100`
   }
-  
-  return totalWeight > 0 ? Math.round(totalScore / totalWeight) : 0;
+};
+
+// Factor's curve with any scoringFactors.curves override applied
+function getFactorCurve(factorName, config) {
+  return { ...SCORING_FACTORS[factorName].curve, ...(config.scoringFactors.curves[factorName] || {}) };
+}
+
+// Score a raw value on a curve, clamped to floor..100
+function applyCurve(value, curve) {
+  const score = SCORING_CURVES[curve.type](value, curve);
+  return Math.max(curve.floor || 0, Math.min(100, score));
+}
+
+// Weighted average of every factor with a weight in remoteWorkWeights. Factors without data are left out and the
+// others' weights rescaled. city: the agent's { city, country, country_code, timezone }.
+// Returns { score, factors: [{ factor, display_name, value, display_value, score, weight, share, points }] }.
+function calculateRemoteWorkScore(analysis, categories, city, config) {
+  // Group each category's result under the factors it feeds
+  const entriesByFactor = {};
+  categories.forEach(category => {
+    const result = analysis.cost_analysis.cost_categories.find(c => c.category_key === category.name);
+    if (result) {
+      category.scoring.forEach(options => {
+        entriesByFactor[options.hook] = entriesByFactor[options.hook] || [];
+        entriesByFactor[options.hook].push({ result, options });
+      });
+    }
+  });
+
+  const factors = Object.entries(config.remoteWorkWeights)
+    .filter(([factorName, weight]) => SCORING_FACTORS[factorName] && weight > 0)
+    .map(([factorName, weight]) => {
+      const factor = SCORING_FACTORS[factorName];
+      const value = factor.input({ entries: entriesByFactor[factorName] || [], city, config });
+      return {
+        factor: factorName,
+        display_name: factor.displayName,
+        value: value,
+        display_value: value === null ? null : factor.format(value),
+        score: value === null ? null : Math.round(applyCurve(value, getFactorCurve(factorName, config))),
+        weight: weight
+      };
+    });
+
+  const scored = factors.filter(factor => factor.score !== null);
+  const totalWeight = scored.reduce((sum, factor) => sum + factor.weight, 0);
+  factors.forEach(factor => {
+    factor.share = factor.score === null ? 0 : Math.round(factor.weight / totalWeight * 100) / 100;
+    factor.points = factor.score === null ? 0 : Math.round(factor.score * factor.weight / totalWeight * 10) / 10;
+  });
+
+  return {
+    score: totalWeight > 0 ? Math.round(scored.reduce((sum, factor) => sum + factor.score * factor.weight, 0) / totalWeight) : 0,
+    factors
+  };
+}
+
+// Checked before the agents start: weights, curve overrides, country scores and the target time zone
+function validateScoringConfig(config) {
+  const errors = [];
+  const factorNames = Object.keys(SCORING_FACTORS);
+  const known = name => factorNames.includes(name);
+
+  Object.entries(config.remoteWorkWeights).forEach(([factorName, weight]) => {
+    if (!known(factorName)) {
+      errors.push(`remoteWorkWeights: unknown factor ${factorName} (available: ${factorNames.join(', ')})`);
+    } else if (!(typeof weight === 'number' && weight >= 0)) {
+      errors.push(`remoteWorkWeights: ${factorName} needs a weight of 0 or more`);
+    }
+  });
+  Object.entries(config.scoringFactors.curves).forEach(([factorName, curve]) => {
+    if (!known(factorName)) {
+      errors.push(`scoringFactors.curves: unknown factor ${factorName}`);
+    } else if (curve.type && !SCORING_CURVES[curve.type]) {
+      errors.push(`scoringFactors.curves: ${factorName} has unknown curve type ${curve.type} (use ${Object.keys(SCORING_CURVES).join(', ')})`);
+    } else {
+      // Checked with the override merged in, so a lone min above the default max is caught too. min = max divides by zero
+      const merged = getFactorCurve(factorName, config);
+      const isNumber = value => typeof value === 'number' && isFinite(value);
+      if (merged.type !== 'boolean' && !(isNumber(merged.min) && isNumber(merged.max) && merged.min < merged.max)) {
+        errors.push(`scoringFactors.curves: ${factorName} needs numeric min < max (got min ${merged.min}, max ${merged.max})`);
+      } else if (merged.type === 'log' && merged.min <= 0) {
+        errors.push(`scoringFactors.curves: ${factorName} is a log curve and needs min > 0 (got ${merged.min})`);
+      }
+    }
+  });
+  Object.entries(config.scoringFactors.countryScores).forEach(([country, scores]) => {
+    if (!findCountry(country)) {
+      errors.push(`scoringFactors.countryScores: unknown country ${country}`);
+    }
+    Object.keys(scores).filter(factorName => !known(factorName)).forEach(factorName => {
+      errors.push(`scoringFactors.countryScores: unknown factor ${factorName} for ${country}`);
+    });
+  });
+  if (config.scoringFactors.targetTimezone) {
+    try {
+      getUtcOffsetHours(config.scoringFactors.targetTimezone);
+    } catch (error) {
+      errors.push(`scoringFactors.targetTimezone: unknown time zone ${config.scoringFactors.targetTimezone} (use an IANA name like America/New_York)`);
+    }
+  }
+
+  return errors;
 }
 
 module.exports = {
+  SCORING_CURVES,
+  SCORING_FACTORS,
   getPPPFactor,
   calculatePPPAdjustedCosts,
-  calculateRemoteWorkScore
+  getWorkingHoursOverlap,
+  calculateRemoteWorkScore,
+  validateScoringConfig
 }; 
\ No newline at end of file
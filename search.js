@@ -1,5 +1,6 @@
 const { HttpsProxyAgent } = require('https-proxy-agent');
 const fetch = require('node-fetch');
+const { assessSearchResults, summarizeDomains } = require('./sources');
 
 async function fetchWithBrightDataProxy(searchQuery, config) {
   try {
@@ -44,19 +45,119 @@ async function fetchWithBrightDataProxy(searchQuery, config) {
     throw error;
   }
 }
+// Generic JSON SERP endpoint: GET <url>?<queryParam>=<query>&num=<maxResults>, normalized to the { organic, knowledge } shape
+async function fetchFromJsonEndpoint(searchQuery, config, endpointUrl = config.jsonEndpoint.url) {
+  try {
+    if (!endpointUrl) {
+      throw new Error('No JSON SERP endpoint URL configured (SERP_ENDPOINT_URL)');
+    }
+
+    const searchUrl = new URL(endpointUrl);
+    searchUrl.searchParams.set(config.jsonEndpoint.queryParam || 'q', searchQuery);
+    searchUrl.searchParams.set('num', config.maxResults);
+
+    const headers = { 'Accept': 'application/json' };
+    if (config.jsonEndpoint.apiKey) {
+      headers['Authorization'] = `Bearer ${config.jsonEndpoint.apiKey}`;
+    }
+
+    const response = await fetch(searchUrl.toString(), { method: 'GET', headers });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! Status: ${response.status} - ${response.statusText}`);
+    }
+
+    return normalizeSearchResponse(await response.json());
+  } catch (error) {
+    console.error('❌ Search request failed:', error.message);
+    throw error;
+  }
+}
+
+// Map the common SERP API response layouts (Bright Data, SerpAPI-style, plain result lists) onto { organic, knowledge }
+function normalizeSearchResponse(data) {
+  const organicResults = data.organic || data.organic_results || data.results || data.items || [];
+
+  const organic = organicResults.map(result => {
+    const link = result.link || result.url || null;
+    let displayLink = result.display_link || result.displayed_link || result.displayLink || null;
+    if (!displayLink && link) {
+      try {
+        displayLink = new URL(link).hostname;
+      } catch (error) {
+        displayLink = null;
+      }
+    }
+
+    return {
+      title: result.title,
+      description: result.description || result.snippet || '',
+      link: link,
+      display_link: displayLink,
+      // Publication date as the search engine shows it ("Mar 5, 2024", "3 weeks ago"), when there is one
+      date: result.date || result.published_date || null
+    };
+  });
+
+  const knowledgeGraph = data.knowledge || data.knowledge_graph || null;
+  let knowledge = null;
+  if (knowledgeGraph) {
+    const facts = Array.isArray(knowledgeGraph.facts) ? knowledgeGraph.facts : [];
+    knowledge = {
+      description: knowledgeGraph.description || null,
+      facts: facts.map(fact => ({ key: fact.key, value: fact.value }))
+    };
+  }
+
+  return { organic, knowledge };
+}
+
+// Search providers. Each one takes (searchQuery, config) and resolves to the { organic, knowledge } shape
+// that buildPerceptionFromSearchData consumes. Pick one with `searchProvider` in config.js.
+const SEARCH_PROVIDERS = {
+  bright_data: {
+    name: 'bright_data',
+    description: 'Google results through the Bright Data SERP API superproxy',
+    search: fetchWithBrightDataProxy
+  },
+
+  json_endpoint: {
+    name: 'json_endpoint',
+    description: 'Any HTTP endpoint returning JSON SERP results',
+    search: (searchQuery, config) => fetchFromJsonEndpoint(searchQuery, config)
+  },
+
+  mock: {
+    name: 'mock',
+    description: 'Local stand-in serving canned results (see mock-server.js)',
+    search: (searchQuery, config) => fetchFromJsonEndpoint(searchQuery, config, `http://127.0.0.1:${config.mockSearch.port}/search`)
+  }
+};
+
+// Run a search through whichever provider config.js selects
+async function fetchSearchResults(searchQuery, config) {
+  const provider = SEARCH_PROVIDERS[config.searchProvider];
+  if (!provider) {
+    throw new Error(`Unknown search provider: ${config.searchProvider} (available: ${Object.keys(SEARCH_PROVIDERS).join(', ')})`);
+  }
+  return provider.search(searchQuery, config);
+}
+
 /**
  * The next two COULD be moved to utils.js since they are, essentially, data mapping/utility functions.
  * But I've kept them here as they are specific to the SERP data. 
  */
 
-// build a Perception object from the SERP data that can be fed to the Reasoning phase
-function buildPerceptionFromSearchData(searchResults, city, categoryName, maxResults) {
+// build a Perception object from the SERP data that can be fed to the Reasoning phase.
+// now: the date result dates are measured against (the agent's reference date)
+function buildPerceptionFromSearchData(searchResults, city, categoryName, maxResults, config, now = new Date()) {
   const cleanedGoogleSearch = {
     organic: searchResults.organic?.slice(0, maxResults).map(result => ({
       title: result.title,
       description: result.description,
       link: result.link,
-      display_link: result.display_link
+      display_link: result.display_link,
+      ...(result.date ? { date: result.date } : {})
     })) || [],
     knowledge: searchResults.knowledge ? {
       description: searchResults.knowledge.description,
@@ -66,6 +167,8 @@ function buildPerceptionFromSearchData(searchResults, city, categoryName, maxRes
       })) || []
     } : null
   };
+  // How far each result can be trusted (sources.js), kept out of google_search so the extraction prompt is unchanged
+  const sourceAssessments = assessSearchResults(cleanedGoogleSearch.organic, config, now);
 
   return {
     timestamp: new Date().toISOString(),
@@ -79,34 +182,38 @@ function buildPerceptionFromSearchData(searchResults, city, categoryName, maxRes
     metadata: {
       organic_results_count: cleanedGoogleSearch.organic?.length || 0,
       has_knowledge_graph: !!cleanedGoogleSearch.knowledge,
-      data_quality_score: calculateDataQualityScore(cleanedGoogleSearch)
+      data_quality_score: calculateDataQualityScore(cleanedGoogleSearch, sourceAssessments),
+      source_reliability: {
+        results: sourceAssessments,
+        domains: summarizeDomains(sourceAssessments)
+      }
     }
   };
 }
 
-// 5 points per organic search result, capped at 50 (10+ results)
-// 20 pointss if google's knowledge graph is present
-// 10 points per relevant source (we're defining numbeo, expatistan, and livingcost as relevant sources )
+// 10 points per organic search result × its reliability (so duplicates, content farms and stale pages count for little), capped at 40
+// 20 points if google's knowledge graph is present
+// up to 40 points for the best sources: the average reliability of the 3 most reliable domains (missing ones count as 0)
 // combines all of the above but is capped at 100
-function calculateDataQualityScore(searchData) {
+function calculateDataQualityScore(searchData, sourceAssessments) {
   let score = 0;
 
-  score += Math.min(searchData.organic.length * 5, 50);
+  score += Math.min(sourceAssessments.reduce((sum, assessment) => sum + assessment.reliability * 10, 0), 40);
 
   if (searchData.knowledge) score += 20;
 
-  const relevantSources = searchData.organic.filter(item =>
-    item.display_link?.includes('numbeo') ||
-    item.display_link?.includes('expatistan') ||
-    item.display_link?.includes('livingcost')
-  ).length;
-  score += Math.min(relevantSources * 10, 30);
+  const bestDomains = summarizeDomains(sourceAssessments).slice(0, 3);
+  score += bestDomains.reduce((sum, entry) => sum + entry.reliability, 0) / 3 * 40;
 
-  return Math.min(score, 100);
+  return Math.min(Math.round(score), 100);
 }
 
 module.exports = {
+  SEARCH_PROVIDERS,
+  fetchSearchResults,
   fetchWithBrightDataProxy,
+  fetchFromJsonEndpoint,
+  normalizeSearchResponse,
   buildPerceptionFromSearchData,
   calculateDataQualityScore
 }; 
\ No newline at end of file
@@ -0,0 +1,328 @@
+// Source reliability - how much to trust each SERP result, from its domain and what its snippet says.
+// Every organic result gets a reliability score (0-1):
+//   trust (registry below + config.sourceReliability.domains, government sites, SEO content farms)
+//   × freshness (the SERP result's date, else the newest date in its title/snippet; older data counts for less)
+//   × a duplicate discount (the 2nd, 3rd... result from the same domain adds less)
+// search.js builds data_quality_score from these, agent.js scales each extracted value's confidence by its
+// cited source's reliability, and the report lists the domains that contributed to each category.
+
+// Known cost-of-living domains (suffix-matched, so 'numbeo.com' covers www.numbeo.com). config.sourceReliability.domains
+// adds to or overrides these, e.g. a national statistics office.
+const SOURCE_REGISTRY = {
+  'numbeo.com': { trust: 0.9, type: 'aggregator' },
+  'expatistan.com': { trust: 0.85, type: 'aggregator' },
+  'livingcost.org': { trust: 0.75, type: 'aggregator' },
+  'nomadlist.com': { trust: 0.7, type: 'aggregator' },
+  'worldbank.org': { trust: 0.9, type: 'statistics' },
+  'oecd.org': { trust: 0.9, type: 'statistics' },
+  'europa.eu': { trust: 0.9, type: 'statistics' },
+  'statista.com': { trust: 0.75, type: 'statistics' },
+  'speedtest.net': { trust: 0.85, type: 'statistics' },
+  'mercer.com': { trust: 0.8, type: 'survey' },
+  'idealista.com': { trust: 0.8, type: 'listings' },
+  'idealista.pt': { trust: 0.8, type: 'listings' },
+  'rightmove.co.uk': { trust: 0.8, type: 'listings' },
+  'zillow.com': { trust: 0.8, type: 'listings' },
+  'wikipedia.org': { trust: 0.6, type: 'reference' },
+  'reddit.com': { trust: 0.55, type: 'forum' },
+  'expat.com': { trust: 0.55, type: 'forum' },
+  'internations.org': { trust: 0.55, type: 'forum' },
+  'tripadvisor.com': { trust: 0.45, type: 'forum' },
+  'quora.com': { trust: 0.35, type: 'forum' },
+  'medium.com': { trust: 0.35, type: 'blog' }
+};
+
+// .gov, .gov.uk, .gob.mx, .gouv.fr, .go.jp, .govt.nz
+const GOVERNMENT_DOMAIN = /(^|\.)(gov|gob|gouv|go|govt)(\.[a-z]{2})?$/;
+
+// SEO content farms: free blog hosts, and listicle/clickbait titles on domains we don't otherwise know
+const CONTENT_FARM_DOMAINS = [/\.blogspot\./, /\.wordpress\.com$/, /\.wixsite\.com$/, /\.weebly\.com$/];
+const CONTENT_FARM_TITLES = [
+  /\b(top|best)\s+\d+\b/i,
+  /\b\d+\s+(best|cheapest|amazing|surprising)\b/i,
+  /\bultimate guide\b/i,
+  /\b(you won'?t believe|must[- ]know|hacks)\b/i
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Hostname without www., from a URL or a display link ("https://www.numbeo.com › cost-of-living" or "numbeo.com")
+function getDomain(url) {
+  if (!url) {
+    return null;
+  }
+  try {
+    return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  } catch (error) {
+    const host = url.trim().split(/[\s/›]/)[0];
+    return host.includes('.') ? host.replace(/^www\./, '').toLowerCase() : null;
+  }
+}
+
+function matchesDomain(domain, known) {
+  return domain === known || domain.endsWith(`.${known}`);
+}
+
+// Second-level labels under a country code that are part of the suffix (bbc.co.uk, ons.gov.uk, abs.gov.au)
+const COUNTRY_SECOND_LEVEL = ['co', 'com', 'net', 'org', 'gov', 'gob', 'go', 'ac', 'edu', 'or', 'ne'];
+
+// The registrable domain's own label, the name a source is cited by: en.wikipedia.org -> wikipedia, bbc.co.uk -> bbc
+function getMainLabel(domain) {
+  const labels = domain.split('.');
+  const hasSecondLevelSuffix = labels.length >= 3 && labels[labels.length - 1].length === 2 &&
+    COUNTRY_SECOND_LEVEL.includes(labels[labels.length - 2]);
+  return labels[Math.max(0, labels.length - (hasSecondLevelSuffix ? 3 : 2))];
+}
+
+// { trust, type } for a domain. Config entries are plain numbers (trust) or { trust, type }.
+function getDomainTrust(domain, config) {
+  const reliabilityConfig = config.sourceReliability;
+  const configured = Object.entries(reliabilityConfig.domains).find(([known]) => matchesDomain(domain, known));
+  if (configured) {
+    const entry = configured[1];
+    return typeof entry === 'number' ? { trust: entry, type: 'configured' } : { type: 'configured', ...entry };
+  }
+
+  const known = Object.keys(SOURCE_REGISTRY).find(key => matchesDomain(domain, key));
+  if (known) {
+    return SOURCE_REGISTRY[known];
+  }
+  if (GOVERNMENT_DOMAIN.test(domain)) {
+    return { trust: reliabilityConfig.governmentTrust, type: 'government' };
+  }
+  return { trust: reliabilityConfig.defaultTrust, type: 'unknown' };
+}
+
+// Only domains the registry doesn't know can be content farms (a Numbeo page titled "Top 10..." is still Numbeo)
+function isContentFarm(domain, title, sourceType) {
+  if (sourceType !== 'unknown') {
+    return false;
+  }
+  return CONTENT_FARM_DOMAINS.some(pattern => pattern.test(domain)) ||
+    CONTENT_FARM_TITLES.some(pattern => pattern.test(title || ''));
+}
+
+// Newest date mentioned in a title/snippet (or a SERP date like "Mar 5, 2024" or "3 weeks ago"), as { year, month }
+// (month null when only the year is known). Dates ("Mar 2024", "2024-03-01", "updated 2023") first; a bare year
+// only counts when it isn't part of a price.
+function parseSnippetDate(text, now = new Date()) {
+  if (!text) {
+    return null;
+  }
+  const currentYear = now.getFullYear();
+  const found = [];
+  const add = (year, month = null) => {
+    if (year >= 2000 && year <= currentYear) {
+      found.push({ year, month });
+    }
+  };
+
+  let match;
+  const relativePattern = /\b(\d+)\s+(day|week|month|year)s?\s+ago\b/gi;
+  const unitMonths = { day: 1 / 30, week: 7 / 30, month: 1, year: 12 };
+  while ((match = relativePattern.exec(text)) !== null) {
+    const monthsAgo = Math.floor(parseInt(match[1], 10) * unitMonths[match[2].toLowerCase()]);
+    const date = new Date(now.getFullYear(), now.getMonth() - monthsAgo, 1);
+    add(date.getFullYear(), date.getMonth() + 1);
+  }
+  const monthPattern = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(?:\d{1,2},?\s+)?(20\d{2})\b/gi;
+  while ((match = monthPattern.exec(text)) !== null) {
+    add(parseInt(match[2], 10), MONTHS.indexOf(match[1].toLowerCase()) + 1);
+  }
+  const isoPattern = /\b(20\d{2})-(\d{2})(?:-\d{2})?\b/g;
+  while ((match = isoPattern.exec(text)) !== null) {
+    add(parseInt(match[1], 10), parseInt(match[2], 10));
+  }
+  if (found.length === 0) {
+    const yearPattern = /(?<![\d.,$€£])\b(20\d{2})\b(?![.,]\d|\s*(?:\$|€|£|usd|eur))/gi;
+    while ((match = yearPattern.exec(text)) !== null) {
+      add(parseInt(match[1], 10));
+    }
+  }
+
+  if (found.length === 0) {
+    return null;
+  }
+  return found.sort((a, b) => b.year - a.year || (b.month || 0) - (a.month || 0))[0];
+}
+
+// 1 up to freshYears old, minFreshness from staleYears on, linear in between; undatedFreshness when there's no date
+function getFreshness(ageYears, reliabilityConfig) {
+  if (ageYears === null) {
+    return reliabilityConfig.undatedFreshness;
+  }
+  if (ageYears <= reliabilityConfig.freshYears) {
+    return 1;
+  }
+  if (ageYears >= reliabilityConfig.staleYears) {
+    return reliabilityConfig.minFreshness;
+  }
+  const progress = (ageYears - reliabilityConfig.freshYears) / (reliabilityConfig.staleYears - reliabilityConfig.freshYears);
+  return 1 - progress * (1 - reliabilityConfig.minFreshness);
+}
+
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// { year, month } -> '2024-03' or '2024'. These strings sort chronologically ('2023' < '2023-04' < '2024').
+function formatAsOf(asOf) {
+  return asOf ? `${asOf.year}${asOf.month ? `-${String(asOf.month).padStart(2, '0')}` : ''}` : null;
+}
+
+// Years between { year, month } and now (a year-only date counts from mid-year), never negative
+function getAgeYears(asOf, now = new Date()) {
+  if (!asOf) {
+    return null;
+  }
+  return Math.max(0, now.getFullYear() - asOf.year + ((now.getMonth() + 1) - (asOf.month || 7)) / 12);
+}
+
+// The newer-dated of two entries' { as_of, as_of_source }
+function pickNewerDate(current, candidate) {
+  const newer = (candidate.as_of || '') > (current.as_of || '') ? candidate : current;
+  return { as_of: newer.as_of || null, as_of_source: newer.as_of_source || null };
+}
+
+// Reliability of one result. duplicateRank is how many results from the same domain came before it.
+function assessSource(result, duplicateRank, config, now = new Date()) {
+  const reliabilityConfig = config.sourceReliability;
+  const domain = getDomain(result.link) || getDomain(result.display_link);
+  const { trust, type } = domain ? getDomainTrust(domain, config) : { trust: reliabilityConfig.defaultTrust, type: 'unknown' };
+  const contentFarm = domain ? isContentFarm(domain, result.title, type) : false;
+
+  // The date the search engine shows for the result beats one picked out of the text
+  const serpDate = parseSnippetDate(result.date, now);
+  const asOf = serpDate || parseSnippetDate(`${result.title || ''} ${result.description || ''}`, now);
+  const ageYears = getAgeYears(asOf, now);
+  const freshness = getFreshness(ageYears, reliabilityConfig);
+  const effectiveTrust = contentFarm ? Math.min(trust, reliabilityConfig.contentFarmTrust) : trust;
+
+  return {
+    domain,
+    link: result.link || null,
+    source_type: contentFarm ? 'content_farm' : type,
+    trust: effectiveTrust,
+    as_of: formatAsOf(asOf),
+    as_of_source: asOf ? (serpDate ? 'serp_date' : 'snippet') : null,
+    age_years: ageYears === null ? null : roundScore(ageYears),
+    freshness: roundScore(freshness),
+    duplicate_rank: duplicateRank,
+    reliability: roundScore(effectiveTrust * freshness * Math.pow(reliabilityConfig.duplicatePenalty, duplicateRank))
+  };
+}
+
+// One assessment per organic result, in SERP order
+function assessSearchResults(organic, config, now = new Date()) {
+  const seen = {};
+  return organic.map(result => {
+    const domain = getDomain(result.link) || getDomain(result.display_link);
+    const duplicateRank = domain ? (seen[domain] || 0) : 0;
+    if (domain) {
+      seen[domain] = duplicateRank + 1;
+    }
+    return assessSource(result, duplicateRank, config, now);
+  });
+}
+
+// Per-domain view of a search: best reliability, how many results, most reliable first
+function summarizeDomains(assessments) {
+  const domains = {};
+  assessments.filter(assessment => assessment.domain).forEach(assessment => {
+    const entry = domains[assessment.domain];
+    if (!entry) {
+      domains[assessment.domain] = {
+        domain: assessment.domain,
+        source_type: assessment.source_type,
+        trust: assessment.trust,
+        as_of: assessment.as_of,
+        as_of_source: assessment.as_of_source,
+        reliability: assessment.reliability,
+        results: 1
+      };
+    } else {
+      entry.results++;
+      entry.reliability = Math.max(entry.reliability, assessment.reliability);
+      Object.assign(entry, pickNewerDate(entry, assessment));
+    }
+  });
+  return Object.values(domains).sort((a, b) => b.reliability - a.reliability);
+}
+
+// Assessment for the source an extraction cites: a URL's domain, or a name like "Numbeo" matched against the searched
+// domains' main labels. Falls back to the registry for a cited domain that wasn't in the results; null when it can't be placed.
+function assessCitedSource(source, sourceReliability, config) {
+  if (!source) {
+    return null;
+  }
+  const domains = sourceReliability?.domains || [];
+  const citedDomain = /^https?:\/\//i.test(source) ? getDomain(source) : null;
+  const lowerSource = source.toLowerCase();
+
+  const searched = citedDomain ?
+    domains.find(entry => matchesDomain(citedDomain, entry.domain) || matchesDomain(entry.domain, citedDomain)) :
+    domains.find(entry => {
+      const label = getMainLabel(entry.domain).replace(/[^a-z0-9]/g, '');
+      return label.length >= 2 && new RegExp(`\\b${label}\\b`).test(lowerSource);
+    });
+  if (searched) {
+    return searched;
+  }
+  if (citedDomain) {
+    return summarizeDomains([assessSource({ link: source }, 0, config)])[0];
+  }
+  return null;
+}
+
+// Confidence multiplier for a cited source: 1 at defaultTrust, ±confidenceWeight per point of trust either side.
+// Trust only - the value's age is discounted separately (freshness.js). Sources that can't be placed leave confidence alone.
+function getSourceConfidenceFactor(citedSource, config) {
+  if (!citedSource) {
+    return 1;
+  }
+  const reliabilityConfig = config.sourceReliability;
+  return roundScore(1 + reliabilityConfig.confidenceWeight * (citedSource.trust - reliabilityConfig.defaultTrust));
+}
+
+// Domains behind a value: the cited one first, then the most reliable domains in the search it was extracted from
+function getContributingDomains(citedSource, sourceReliability, config) {
+  const domains = [
+    ...(citedSource ? [{ ...citedSource, cited: true }] : []),
+    ...(sourceReliability?.domains || []).map(entry => ({ ...entry, cited: false }))
+  ];
+  return mergeSourceDomains([domains], config);
+}
+
+// Merge several candidates' contributing domains (triangulation), keeping reportDomains of them
+function mergeSourceDomains(domainLists, config) {
+  const merged = {};
+  domainLists.flat().forEach(entry => {
+    const existing = merged[entry.domain];
+    merged[entry.domain] = {
+      domain: entry.domain,
+      source_type: entry.source_type,
+      trust: entry.trust,
+      reliability: Math.max(existing?.reliability || 0, entry.reliability),
+      ...pickNewerDate(existing || {}, entry),
+      cited: !!(existing?.cited || entry.cited)
+    };
+  });
+  return Object.values(merged)
+    .sort((a, b) => Number(b.cited) - Number(a.cited) || b.reliability - a.reliability)
+    .slice(0, config.sourceReliability.reportDomains);
+}
+
+module.exports = {
+  SOURCE_REGISTRY,
+  getDomain,
+  getDomainTrust,
+  parseSnippetDate,
+  formatAsOf,
+  getAgeYears,
+  assessSearchResults,
+  summarizeDomains,
+  assessCitedSource,
+  getSourceConfidenceFactor,
+  getContributingDomains,
+  mergeSourceDomains
+};
\ No newline at end of file
@@ -1,10 +1,19 @@
 // Dynamic Strategy Selection - Multiple search approaches
-// each strategy has a confidence modifier (how much to trust results from this source)
-const SEARCH_STRATEGIES = {
+// each strategy has a confidence modifier (how much to trust results from this source) and a priority
+// (which to try first when nothing's been learned). Built-ins below; more can be declared in config.strategies
+// or as plugin modules listed in config.strategyPlugins (see loadSearchStrategies).
+const path = require('path');
+const CONFIG = require('./config');
+const { fillSearchTemplate, findCategoryResult, getAllCostCategories } = require('./categories');
+const { findCountry } = require('./countries');
+const { isStrategyMemoryEnabled, rankStrategies } = require('./memory');
+
+const BUILT_IN_STRATEGIES = {
   numbeo_focused: {
     name: 'numbeo_focused',
     description: 'Focus on Numbeo.com data',
     confidence_modifier: 1.0,
+    priority: 50,
     buildQuery: (city, country, category) => 
       `${category.displayName} cost ${city} ${country} site:numbeo.com`,
     sites: ['numbeo.com']
@@ -14,6 +23,7 @@ const SEARCH_STRATEGIES = {
     name: 'expatistan_focused', 
     description: 'Focus on Expatistan.com data',
     confidence_modifier: 0.9,
+    priority: 20,
     buildQuery: (city, country, category) =>
       `${category.displayName} price ${city} ${country} site:expatistan.com`,
     sites: ['expatistan.com']
@@ -23,6 +33,7 @@ const SEARCH_STRATEGIES = {
     name: 'reddit_local',
     description: 'Local Reddit discussions',
     confidence_modifier: 0.8,
+    priority: 40,
     buildQuery: (city, country, category) =>
       `${city} cost of living ${category.name} site:reddit.com`,
     sites: ['reddit.com']
@@ -32,6 +43,7 @@ const SEARCH_STRATEGIES = {
     name: 'multi_source',
     description: 'Multiple reliable sources',
     confidence_modifier: 1.1,
+    priority: 70,
     buildQuery: (city, country, category) =>
       `${category.displayName} cost ${city} ${country} site:numbeo.com OR site:expatistan.com OR site:livingcost.org`,
     sites: ['numbeo.com', 'expatistan.com', 'livingcost.org']
@@ -41,24 +53,205 @@ const SEARCH_STRATEGIES = {
     name: 'government_stats',
     description: 'Official government statistics',
     confidence_modifier: 1.2,
+    priority: 30,
     buildQuery: (city, country, category) =>
       `${country} official statistics cost living ${category.name} government data`,
     sites: ['gov', 'statistics']
   },
   
+  // The category's own searchTemplate from config.js (falls back to a generic query if it has none)
+  category_template: {
+    name: 'category_template',
+    description: "The category's own search template",
+    confidence_modifier: 1.0,
+    priority: 60,
+    buildQuery: (city, country, category) => category.searchTemplate ?
+      fillSearchTemplate(category, city, country) :
+      `${category.displayName} cost ${city} ${country}`,
+    sites: []
+  },
+  
   expat_forums: {
     name: 'expat_forums',
     description: 'Expat community forums',
     confidence_modifier: 0.7,
+    priority: 10,
     buildQuery: (city, country, category) =>
       `expat ${city} living costs ${category.name} forum community`,
     sites: ['expat', 'forum']
   }
 };
 
+const STRATEGY_PLACEHOLDERS = ['city', 'country', 'category', 'category_name'];
+
+// "{category} price {city}" -> "Monthly Groceries price Lisbon"
+function fillQueryTemplate(template, city, country, category) {
+  return template
+    .replace(/\{city\}/g, city)
+    .replace(/\{country\}/g, country)
+    .replace(/\{category\}/g, category.displayName)
+    .replace(/\{category_name\}/g, category.name);
+}
+
+// A user-defined strategy, from config.strategies or a plugin module:
+// { name, description, queryTemplate (or a buildQuery function), sites, confidenceModifier, priority,
+//   appliesTo: { categories: [...], countries: [...] } }
+// Returns its errors; an empty list means it can be registered.
+function validateStrategyDefinition(definition, label, categoryNames) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return [`${label}: a strategy must be an object`];
+  }
+  if (!definition.name || !/^[a-z0-9_]+$/.test(definition.name)) {
+    errors.push(`${label}: needs a name made of lowercase letters, digits and underscores`);
+  }
+  if (typeof definition.buildQuery !== 'function' && typeof definition.queryTemplate !== 'string') {
+    errors.push(`${label}: needs a queryTemplate (or a buildQuery function in a plugin)`);
+  }
+  if (typeof definition.queryTemplate === 'string') {
+    (definition.queryTemplate.match(/\{([^}]*)\}/g) || [])
+      .map(placeholder => placeholder.slice(1, -1))
+      .filter(placeholder => !STRATEGY_PLACEHOLDERS.includes(placeholder))
+      .forEach(placeholder => errors.push(`${label}: unknown placeholder {${placeholder}} in queryTemplate (use ${STRATEGY_PLACEHOLDERS.map(p => `{${p}}`).join(', ')})`));
+  }
+  if (definition.sites !== undefined && !(Array.isArray(definition.sites) && definition.sites.every(site => typeof site === 'string'))) {
+    errors.push(`${label}: sites must be a list of domains`);
+  }
+  if (definition.confidenceModifier !== undefined && !(definition.confidenceModifier > 0 && definition.confidenceModifier <= 2)) {
+    errors.push(`${label}: confidenceModifier must be a number above 0 and at most 2`);
+  }
+  if (definition.priority !== undefined && !(typeof definition.priority === 'number' && definition.priority >= 0 && definition.priority <= 100)) {
+    errors.push(`${label}: priority must be a number from 0 to 100`);
+  }
+
+  const appliesTo = definition.appliesTo || {};
+  (appliesTo.categories || []).filter(name => !categoryNames.includes(name)).forEach(name => {
+    errors.push(`${label}: appliesTo names unknown category ${name} (available: ${categoryNames.join(', ')})`);
+  });
+  (appliesTo.countries || []).filter(country => !findCountry(country)).forEach(country => {
+    errors.push(`${label}: appliesTo names unknown country ${country}`);
+  });
+
+  return errors;
+}
+
+// Into the same shape as the built-ins. Query templates get the strategy's domains appended as site: filters.
+function normalizeStrategy(definition, origin) {
+  const sites = definition.sites || [];
+  const siteFilter = sites.filter(site => site.includes('.')).map(site => `site:${site}`).join(' OR ');
+  const appliesTo = definition.appliesTo || {};
+
+  return {
+    name: definition.name,
+    description: definition.description || definition.name,
+    confidence_modifier: definition.confidenceModifier ?? 1.0,
+    priority: definition.priority ?? 50,
+    buildQuery: typeof definition.buildQuery === 'function' ?
+      definition.buildQuery :
+      (city, country, category) => [fillQueryTemplate(definition.queryTemplate, city, country, category), siteFilter].filter(Boolean).join(' '),
+    sites: sites,
+    applies_to: {
+      categories: appliesTo.categories || null,
+      countries: appliesTo.countries ? appliesTo.countries.map(country => findCountry(country).iso2) : null
+    },
+    origin: origin
+  };
+}
+
+// A plugin module exports one strategy definition or a list of them. Paths are relative to the working directory.
+function loadPluginDefinitions(pluginPath) {
+  const exported = require(path.resolve(pluginPath));
+  return Array.isArray(exported) ? exported : [exported];
+}
+
+let registry = null;
+
+// Built-ins + config.strategies + every config.strategyPlugins module, validated. Returns { strategies, errors };
+// invalid definitions are left out of the registry (main.js refuses to start while there are errors).
+function loadSearchStrategies(config = CONFIG) {
+  const strategies = { ...BUILT_IN_STRATEGIES };
+  const errors = [];
+  const categoryNames = getAllCostCategories(config).map(category => category.name);
+
+  const definitions = (config.strategies || []).map((definition, index) => ({
+    definition,
+    label: definition?.name || `strategies[${index}]`,
+    origin: 'config'
+  }));
+  (config.strategyPlugins || []).forEach(pluginPath => {
+    try {
+      loadPluginDefinitions(pluginPath).forEach((definition, index) => {
+        definitions.push({ definition, label: `${pluginPath}: ${definition?.name || `strategy ${index}`}`, origin: pluginPath });
+      });
+    } catch (error) {
+      errors.push(`${pluginPath}: could not load plugin (${error.message})`);
+    }
+  });
+
+  definitions.forEach(({ definition, label, origin }) => {
+    const definitionErrors = validateStrategyDefinition(definition, label, categoryNames);
+    if (definitionErrors.length === 0 && strategies[definition.name]) {
+      definitionErrors.push(`${label}: a strategy named ${definition.name} already exists`);
+    }
+    errors.push(...definitionErrors);
+    if (definitionErrors.length === 0) {
+      strategies[definition.name] = normalizeStrategy(definition, origin);
+    }
+  });
+
+  (config.triangulation.strategies || []).filter(name => !strategies[name]).forEach(name => {
+    errors.push(`triangulation.strategies names unknown strategy ${name}`);
+  });
+
+  return { strategies, errors };
+}
+
+// The strategy registry, loaded once per run
+function getSearchStrategies() {
+  if (!registry) {
+    registry = loadSearchStrategies(CONFIG).strategies;
+  }
+  return registry;
+}
+
+// Strategies restricted with appliesTo only run for those categories / countries
+function isStrategyApplicable(strategy, category, context) {
+  const appliesTo = strategy.applies_to;
+  if (!appliesTo) {
+    return true;
+  }
+  if (appliesTo.categories && !appliesTo.categories.includes(category.name)) {
+    return false;
+  }
+  if (appliesTo.countries) {
+    const country = findCountry(context.country_code || context.country);
+    return Boolean(country) && appliesTo.countries.includes(country.iso2);
+  }
+  return true;
+}
+
+// Available strategies best first: by declared priority, plus what earlier runs learned for this category
+// in this country/region (persistent strategy memory) when there is anything
+function rankAvailableStrategies(context, category, availableStrategies) {
+  const learned = isStrategyMemoryEnabled(CONFIG) ?
+    rankStrategies(context, category.name, availableStrategies.map(strategy => strategy.name), CONFIG) :
+    null;
+
+  const score = strategy => {
+    const priorityScore = strategy.priority / 100;
+    if (!learned) {
+      return priorityScore;
+    }
+    return learned.find(entry => entry.name === strategy.name).score + CONFIG.strategyPriorityWeight * priorityScore;
+  };
+  return [...availableStrategies].sort((a, b) => score(b) - score(a));
+}
+
 // The brains of the operation.
-// Selects a strategy based on a given category (rent, groceries, internet, etc)
-function selectStrategy(context, category) {
+// Selects a strategy based on a given category (rent, groceries, internet, etc).
+// excludeStrategies: strategies not to pick this time (e.g. the one a reflection plan asked to move on from)
+function selectStrategy(context, category, excludeStrategies = []) {
   // Removed addTrace import for simple version
   
   const categoryName = category.name;
@@ -68,94 +261,139 @@ function selectStrategy(context, category) {
   const categoryFailedStrategies = context.memory.failed_strategies_by_category[categoryName] || [];
   const categorySuccessfulStrategies = context.memory.successful_strategies_by_category[categoryName] || [];
   
-  // Get still-available strategies (i.e. ones not yet failed for this specific category)
-  const availableStrategies = Object.values(SEARCH_STRATEGIES).filter(strategy =>
-    !categoryFailedStrategies.includes(strategy.name)
+  // Get still-available strategies (i.e. ones that apply here and haven't failed yet for this specific category)
+  const strategies = getSearchStrategies();
+  const availableStrategies = Object.values(strategies).filter(strategy =>
+    isStrategyApplicable(strategy, category, context) &&
+    !categoryFailedStrategies.includes(strategy.name) &&
+    !excludeStrategies.includes(strategy.name)
   );
   
   if (availableStrategies.length === 0) {
     // No available strategies left, using fallback
-    return SEARCH_STRATEGIES.multi_source;
+    return strategies.multi_source;
   }
   
-  // Step 1: Based on available strategies from Step 0, select a strategy
-  let selectedStrategy;
+  // Step 1: Based on available strategies from Step 0, select a strategy.
+  // Ranked by declared priority and learned performance: with nothing learned that's the broad multi_source first,
+  // then the category's own template, Numbeo, and so on down to the forums
+  const rankedStrategies = rankAvailableStrategies(context, category, availableStrategies);
   
   // 1.1. Try historically successful strategies first (for this specific category)
-  const successfulStrategy = availableStrategies.find(strategy =>
+  const successfulStrategy = rankedStrategies.find(strategy =>
     categorySuccessfulStrategies.includes(strategy.name)
   );
   
-  if (successfulStrategy) {
-    selectedStrategy = successfulStrategy;
-    // Using previously successful strategy
-  }
-  // 1.2. Okay so there is no record of previous strategies i.e. this is iteration 0. 
-  // For our first iteration, start with a deliberately broad, general strategy
-  else if (context.state.iteration === 0) {
-    selectedStrategy = SEARCH_STRATEGIES.multi_source;
-    // First attempt using multi_source strategy
-  }
-  // 1.3. If that didn't work, lets go down the list picking strategies one by one. 
-  // This is an adaptive selection based on iteration. 
-  else {
-    const strategyOrder = [
-      SEARCH_STRATEGIES.numbeo_focused,
-      SEARCH_STRATEGIES.reddit_local,
-      SEARCH_STRATEGIES.government_stats,
-      SEARCH_STRATEGIES.expatistan_focused,
-      SEARCH_STRATEGIES.expat_forums
-      // anything else you might think of
-    ];
-    
-    const nextStrategy = strategyOrder.find(strategy => 
-      availableStrategies.includes(strategy)
-    );
-    
-    selectedStrategy = nextStrategy || availableStrategies[0];
-    // Trying different strategy for subsequent iteration
-  }
-  
-  return selectedStrategy;
+  // 1.2. Nothing worked yet this session: the best-ranked strategy still available
+  return successfulStrategy || rankedStrategies[0];
 }
 
-// Simplified learning system - just determines if we need to retry based on confidence
-function adaptSearchBasedOnResults(context, results) {
-  // FYI: you should have per agent tracing here in production
-  // Analyze results to determine if retry is needed
-  const lowConfidenceCategories = results.filter(r => r.confidence < 60);
-  const highConfidenceCategories = results.filter(r => r.confidence > 80);
-  
-  // Great, now we have a list of low confidence categories and high confidence categories identified
+// Extra strategies to corroborate a category's primary one (multi-source triangulation):
+// the configured triangulation strategies in order, minus the primary and any that already failed for the category
+function selectCorroboratingStrategies(context, category, primaryStrategy, triangulationConfig) {
+  const categoryFailedStrategies = context.memory.failed_strategies_by_category[category.name] || [];
+  const strategies = getSearchStrategies();
+
+  return triangulationConfig.strategies
+    .map(name => strategies[name])
+    .filter(strategy => strategy && strategy !== primaryStrategy && !categoryFailedStrategies.includes(strategy.name))
+    .filter(strategy => isStrategyApplicable(strategy, category, context))
+    .slice(0, triangulationConfig.extraStrategies);
+}
+
+// What the reflection step shows the model for each category: how it went, what was searched and what came back
+function buildReflectionInput(context, categories, config) {
+  const results = context.reasoning?.cost_analysis?.cost_categories || [];
+  const categorySearches = context.perception?.category_searches || {};
+
+  return categories.map(category => {
+    const result = findCategoryResult(results, category);
+    const organic = categorySearches[category.name]?.sources.google_search.organic || [];
+    return {
+      category: category.name,
+      display_name: category.displayName,
+      usd_amount: result ? result.usd_amount : null,
+      confidence: result ? Math.round(result.confidence) : 0,
+      low_confidence: !result || result.confidence < config.confidenceThreshold,
+      queries_tried: context.memory.queries_by_category[category.name] || [],
+      strategies_tried: context.memory.attempted_strategies
+        .filter(attempt => attempt.category === category.name)
+        .map(attempt => attempt.strategy)
+        .filter((strategy, index, all) => all.indexOf(strategy) === index),
+      snippets: organic.slice(0, config.reflection.maxSnippets).map(item => ({
+        title: item.title,
+        description: (item.description || '').slice(0, 200),
+        link: item.link
+      }))
+    };
+  });
+}
+
+// Plan used when the model can't be asked (planning off, or the call failed): low-confidence categories
+// move on to the next strategy with its own query, everything else is left alone
+function buildFallbackPlan(reflectionInput) {
   return {
-    needs_retry: lowConfidenceCategories.length > results.length * 0.5, // More than 50% low confidence
-    suggested_adaptations: generateAdaptations(context, lowConfidenceCategories)
+    source: 'fallback',
+    categories: Object.fromEntries(reflectionInput.map(entry => [entry.category, {
+      action: entry.low_confidence ? 'retry' : 'keep',
+      query: null,
+      target_domains: [],
+      rationale: entry.low_confidence ? `${entry.confidence}% confidence` : null
+    }])),
+    notes: null,
+    model_used: null
   };
 }
 
-// Generate adaptations based on the results of the search
-// This is a simple, static list of recommendations that the agent can use to improve the query (expand search terms, try alternative approaches, try local sources, etc)
-// In production, you should have a more dynamic list of adaptations s
-function generateAdaptations(context, lowConfidenceCategories) {
-  const adaptations = [];
-  
-  // If many categories failed, try broader search
-  if (lowConfidenceCategories.length > 2) {
-    adaptations.push('expand_search_terms');
-  }
-  
-  // If we have low confidence categories, try alternative approaches
-  if (lowConfidenceCategories.length > 0) {
-    adaptations.push('alternative_category_approach');
-    adaptations.push('try_local_sources');
-  }
-  
-  return adaptations;
+// "https://www.Numbeo.com/cost-of-living/" -> "numbeo.com"; anything that isn't a hostname is dropped
+function normalizeDomain(domain) {
+  const host = String(domain).trim().toLowerCase()
+    .replace(/^site:/, '')
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split('/')[0];
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(host) ? host : null;
+}
+
+// Check a model-written plan against the categories it was asked about. Unknown categories are dropped,
+// categories it left out keep what they have, and a retry without usable query text falls back to strategy rotation.
+function normalizeSearchPlan(plan, reflectionInput, config) {
+  const fallback = buildFallbackPlan(reflectionInput);
+  const categories = {};
+
+  reflectionInput.forEach(entry => {
+    const planned = (plan.categories || []).find(item => item.category === entry.category);
+    if (!planned) {
+      categories[entry.category] = { ...fallback.categories[entry.category], action: 'keep', rationale: 'not in the plan' };
+      return;
+    }
+    const query = (planned.query || '').replace(/\s+/g, ' ').trim().slice(0, config.reflection.maxQueryLength);
+    categories[entry.category] = {
+      action: planned.action === 'retry' ? 'retry' : 'keep',
+      query: planned.action === 'retry' && query ? query : null,
+      target_domains: [...new Set((planned.target_domains || []).map(normalizeDomain).filter(Boolean))]
+        .slice(0, config.reflection.maxDomains),
+      rationale: planned.rationale || null
+    };
+  });
+
+  return { source: 'llm', categories, notes: plan.notes || null, model_used: plan.model_used || null };
+}
+
+// The next search query for a category the plan retries with its own query text
+function buildPlannedQuery(planEntry) {
+  const sites = planEntry.target_domains.map(domain => `site:${domain}`).join(' OR ');
+  return sites ? `${planEntry.query} ${sites}` : planEntry.query;
 }
 
 module.exports = {
-  SEARCH_STRATEGIES,
+  BUILT_IN_STRATEGIES,
+  loadSearchStrategies,
+  getSearchStrategies,
   selectStrategy,
-  adaptSearchBasedOnResults,
-  generateAdaptations
+  selectCorroboratingStrategies,
+  buildReflectionInput,
+  buildFallbackPlan,
+  normalizeSearchPlan,
+  buildPlannedQuery
 }; 
\ No newline at end of file
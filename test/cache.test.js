@@ -0,0 +1,28 @@
+// Search cache: entries are kept apart per search provider
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getSearchCachePath, loadCachedSearch, saveCachedSearch } = require('../cache');
+
+const LISBON = { name: 'Lisbon', country: 'Portugal' };
+const QUERY = 'rent 1 bedroom apartment Lisbon Portugal';
+
+test('the provider is part of the search cache path', () => {
+  assert.notEqual(
+    getSearchCachePath(LISBON, 'rent', QUERY, 'mock'),
+    getSearchCachePath(LISBON, 'rent', QUERY, 'bright_data')
+  );
+});
+
+test('mock results are not served to a real provider', () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-cache-'));
+  try {
+    saveCachedSearch(LISBON, 'rent', QUERY, 'mock', { organic: [{ title: 'canned' }] }, cacheDir);
+    assert.deepEqual(loadCachedSearch(LISBON, 'rent', QUERY, 'mock', cacheDir), { organic: [{ title: 'canned' }] });
+    assert.equal(loadCachedSearch(LISBON, 'rent', QUERY, 'bright_data', cacheDir), null);
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
\ No newline at end of file
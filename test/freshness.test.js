@@ -0,0 +1,69 @@
+// Data freshness: ages are measured from the given reference date, and CPI adjustment runs to the exchange table's
+// date and never past the CPI data
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCPIAdjustment, applyFreshness } = require('../freshness');
+
+const CONFIG = {
+  cacheDir: 'test/no-cache', // no refreshed rates, so the bundled 2025-07-01 table is used
+  freshness: { enabled: true, graceYears: 1, ageDiscountPerYear: 0.1, minFactor: 0.5, staleYears: 3, cpiAdjust: true }
+};
+
+test('brings a figure forward by the CPI inflation in between', () => {
+  // Portugal: 7.8% in 2022, then half of 2023's 4.4%
+  const adjustment = getCPIAdjustment('Portugal', { year: 2022, month: 1 }, { year: 2023, month: 7 });
+  assert.equal(adjustment.factor, 1.101);
+  assert.equal(adjustment.from, '2022-01');
+  assert.equal(adjustment.to, '2023-07');
+  assert.equal(adjustment.capped, false);
+});
+
+test('high inflation: stops at the end of the CPI data instead of repeating its latest rate', () => {
+  // Argentina's 219.9% for 2024 counts for the 7 months from June only, not for 2025 as well (which gave ×15)
+  const argentina = getCPIAdjustment('Argentina', { year: 2024, month: 6 }, { year: 2025, month: 7 });
+  assert.equal(argentina.factor, 1.971);
+  assert.equal(argentina.capped, true);
+  assert.equal(argentina.cpi_through, 2024);
+
+  const turkey = getCPIAdjustment('TUR', { year: 2024, month: 1 }, { year: 2025, month: 7 });
+  assert.equal(turkey.factor, 1.585);
+
+  // Entirely past the CPI data: nothing to adjust by
+  assert.equal(getCPIAdjustment('Turkey', { year: 2025, month: 1 }, { year: 2025, month: 7 }), null);
+});
+
+test('no adjustment without CPI data for the country', () => {
+  assert.equal(getCPIAdjustment('Atlantis', { year: 2021, month: null }, { year: 2025, month: 7 }), null);
+});
+
+test('age, discount and the stale flag follow the reference date, not the clock', () => {
+  const recorded = applyFreshness({ amount: 900, currency: 'EUR', as_of_date: 'March 2023' }, 'Portugal', CONFIG, new Date(2024, 2, 1));
+  assert.equal(recorded.freshness.age_years, 1);
+  assert.equal(recorded.freshness.factor, 1);
+  assert.equal(recorded.freshness.stale, false);
+
+  const later = applyFreshness({ amount: 900, currency: 'EUR', as_of_date: 'March 2023' }, 'Portugal', CONFIG, new Date(2027, 2, 1));
+  assert.equal(later.freshness.age_years, 4);
+  assert.equal(later.freshness.factor, 0.7);
+  assert.equal(later.freshness.stale, true);
+});
+
+test('applyFreshness inflates to the exchange table date, not to today', () => {
+  const result = { amount: 500000, low_amount: 400000, currency: 'ARS', usd_amount: 550, as_of_date: 'June 2024' };
+  applyFreshness(result, 'Argentina', CONFIG, new Date(2026, 9, 19));
+
+  assert.equal(result.freshness.as_of, '2024-06');
+  assert.equal(result.freshness.cpi_adjustment.to, '2025-07');
+  assert.equal(result.freshness.cpi_adjustment.factor, 1.971);
+  assert.equal(result.amount, 985500);
+  assert.equal(result.low_amount, 788400);
+  // Converted at 1215 ARS/USD that's about $811, in line with a $550 figure two years earlier
+  assert.ok(result.amount / 1215 < 1000);
+});
+
+test('a figure dated after the exchange table is left as found', () => {
+  const result = { amount: 1000, currency: 'EUR', as_of_date: '2026-03' };
+  applyFreshness(result, 'Portugal', CONFIG, new Date(2026, 9, 19));
+  assert.equal(result.freshness.cpi_adjustment, null);
+  assert.equal(result.amount, 1000);
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+// City resolution: ambiguous and qualified names, cities outside the gazetteer, and --cities-file CSV parsing
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveCity, readCitiesFile } = require('../gazetteer');
+
+test('a name shared by comparably sized cities is refused with the candidates', () => {
+  const { city, error } = resolveCity('Portland');
+  assert.equal(city, undefined);
+  assert.match(error, /"Portland" is ambiguous/);
+  assert.match(error, /Portland, Oregon, United States/);
+  assert.match(error, /Portland, Maine, United States/);
+});
+
+test('a region qualifier picks one city and keeps the region in its name', () => {
+  const { city, warning, error } = resolveCity('Portland, Maine');
+  assert.equal(error, undefined);
+  assert.equal(warning, undefined);
+  assert.equal(city.name, 'Portland, Maine');
+  assert.equal(city.country_code, 'US');
+  assert.equal(city.timezone, 'America/New_York');
+});
+
+test('a dominant city wins an ambiguous name, with a warning', () => {
+  const { city, warning } = resolveCity('London');
+  assert.equal(city.name, 'London');
+  assert.equal(city.country_code, 'GB');
+  assert.equal(city.timezone, 'Europe/London');
+  assert.match(warning, /"London" is ambiguous, using London, England, United Kingdom/);
+  assert.match(warning, /London, Ontario, Canada/);
+});
+
+test('an unknown city with a known country is used as given', () => {
+  const { city, warning } = resolveCity('Tavira, Portugal');
+  assert.equal(city.name, 'Tavira');
+  assert.equal(city.country, 'Portugal');
+  assert.equal(city.country_code, 'PT');
+  assert.equal(city.timezone, null);
+  assert.match(warning, /"Tavira" is not in the gazetteer; using it as given in Portugal/);
+});
+
+test('a quoted CSV field keeps its comma and resolves', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cities-file-'));
+  try {
+    const filePath = path.join(dir, 'cities.csv');
+    fs.writeFileSync(filePath, 'name,country\r\n"Portland, Maine",United States\r\nLisbon,Portugal\r\n');
+    const entries = readCitiesFile(filePath);
+    assert.deepEqual(entries, [
+      { name: 'Portland, Maine', country: 'United States' },
+      { name: 'Lisbon', country: 'Portugal' }
+    ]);
+    assert.equal(resolveCity(entries[0]).city.name, 'Portland, Maine');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
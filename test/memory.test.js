@@ -0,0 +1,60 @@
+// Strategy memory: only outcomes of fresh searches are filed, and a planned query's outcome isn't the strategy's
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getAttemptStrategy, recordAgentMemory, rankStrategies } = require('../memory');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'strategy-memory-'));
+const CONFIG = {
+  dataDir: dir,
+  strategyMemory: { enabled: true, file: path.join(dir, 'strategy_memory.json'), regionWeight: 0.5, priorSuccessRate: 0.5, priorStrength: 2, explorationWeight: 0.3 }
+};
+
+function buildContext(attempts) {
+  return {
+    city: 'Lisbon',
+    country: 'Portugal',
+    country_code: 'PT',
+    memory: { attempted_strategies: attempts }
+  };
+}
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('attempts on cached search results are not counted again', () => {
+  const attempt = { strategy: 'multi_source', category: 'rent_1br', success: true, confidence: 85, timestamp: '2026-10-01T00:00:00.000Z' };
+
+  // First run searches; the re-run within the cache TTL gets the same results from the cache
+  recordAgentMemory(buildContext([{ ...attempt, data_source: 'fresh_serp_call' }]), CONFIG);
+  recordAgentMemory(buildContext([{ ...attempt, data_source: 'cached_data' }]), CONFIG);
+
+  const saved = JSON.parse(fs.readFileSync(CONFIG.strategyMemory.file, 'utf8'));
+  assert.deepEqual(saved.countries.PT.rent_1br.multi_source, {
+    attempts: 1, successes: 1, confidence_sum: 85, last_used: '2026-10-01T00:00:00.000Z'
+  });
+  assert.equal(saved.regions['Europe & Central Asia'].rent_1br.multi_source.attempts, 1);
+
+  const [ranked] = rankStrategies(buildContext([]), 'rent_1br', ['multi_source'], CONFIG);
+  assert.equal(ranked.attempts, 1);
+});
+
+test('a retry on a query the reflection plan wrote is filed under reflection_plan and never ranked', () => {
+  const attempt = { category: 'internet', data_source: 'fresh_serp_call', timestamp: '2026-10-01T00:00:00.000Z' };
+
+  // Iteration 0 ran the strategy's own query and failed; the retry kept the strategy but searched the plan's query
+  recordAgentMemory(buildContext([
+    { ...attempt, strategy: getAttemptStrategy('numbeo_focused', 'strategy'), success: false, confidence: 30 },
+    { ...attempt, strategy: getAttemptStrategy('numbeo_focused', 'reflection_plan'), success: true, confidence: 80 }
+  ]), CONFIG);
+
+  const saved = JSON.parse(fs.readFileSync(CONFIG.strategyMemory.file, 'utf8'));
+  assert.equal(saved.countries.PT.internet.numbeo_focused.attempts, 1);
+  assert.equal(saved.countries.PT.internet.numbeo_focused.successes, 0);
+  assert.equal(saved.countries.PT.internet.reflection_plan.successes, 1);
+
+  const ranked = rankStrategies(buildContext([]), 'internet', ['numbeo_focused', 'reflection_plan'], CONFIG);
+  assert.deepEqual(ranked.map(arm => arm.name), ['numbeo_focused']);
+  assert.equal(ranked[0].attempts, 1);
+});
\ No newline at end of file
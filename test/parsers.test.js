@@ -0,0 +1,102 @@
+// Rule-based extraction from saved Numbeo/Expatistan pages (test/html)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseNumbeoPage, parseExpatistanPage, extractStructuredCost } = require('../parsers');
+const { extractPageEvidence } = require('../pages');
+
+const CONFIG = { cacheDir: 'test/no-cache' }; // bundled exchange rates (EUR 0.854 per USD)
+
+const RENT_1BR = { name: 'rent_1br', displayName: '1BR Apartment Rent', pageKeywords: ['apartment', 'rent'], locationTiers: true };
+const TRANSPORTATION = { name: 'transportation', displayName: 'Public Transportation', pageKeywords: ['pass', 'ticket', 'transport'] };
+const GROCERIES = { name: 'groceries', displayName: 'Monthly Groceries', pageKeywords: ['milk', 'bread', 'groceries'] };
+
+function loadPage(fileName) {
+  return fs.readFileSync(path.join(__dirname, 'html', fileName), 'utf8');
+}
+
+// A category perception with one fetched page, as agent.js builds it with --fetch-pages
+function buildPerception(fileName, domain, category, organic = []) {
+  const url = `https://www.${domain}/cost-of-living/in/Lisbon`;
+  const { rows } = extractPageEvidence(loadPage(fileName), domain, category, 4000);
+  return {
+    sources: {
+      page_evidence: [{ url, domain, parser: domain.split('.')[0], rows }],
+      google_search: { organic }
+    }
+  };
+}
+
+test('parses Numbeo price rows with their min-max range', () => {
+  const rows = parseNumbeoPage(loadPage('numbeo-lisbon.html'));
+  const rent = rows.find(row => row.item === 'Apartment (1 bedroom) in City Centre');
+  assert.equal(rent.price, '1,402.73 €');
+  assert.equal(rent.range, '1,100.00-2,000.00');
+  // "?" (not enough data) rows are dropped
+  assert.equal(rows.some(row => row.item === 'Apartment (3 bedrooms) Outside of Centre'), false);
+});
+
+test('parses Expatistan price rows', () => {
+  const rows = parseExpatistanPage(loadPage('expatistan-lisbon.html'));
+  assert.equal(rows.length, 7);
+  assert.deepEqual(rows.find(row => /public transport/.test(row.item)), { item: 'Monthly ticket public transport', price: '$47', range: null });
+});
+
+test('extracts rent from a Numbeo page: amount, currency, range and location tiers', () => {
+  const result = extractStructuredCost(buildPerception('numbeo-lisbon.html', 'numbeo.com', RENT_1BR), RENT_1BR, 'Portugal', CONFIG);
+  assert.equal(result.value_source, 'parser');
+  assert.equal(result.amount, 1402.73);
+  assert.equal(result.currency, 'EUR');
+  assert.equal(result.usd_amount, 1642.54);
+  assert.equal(result.low_amount, 1100);
+  assert.equal(result.high_amount, 2000);
+  assert.equal(result.city_center_amount, 1402.73);
+  assert.equal(result.outside_center_amount, 1026.2);
+  assert.equal(result.confidence, 92);
+});
+
+test('extracts a transit pass from an Expatistan page', () => {
+  const result = extractStructuredCost(buildPerception('expatistan-lisbon.html', 'expatistan.com', TRANSPORTATION), TRANSPORTATION, 'Portugal', CONFIG);
+  assert.equal(result.value_source, 'parser');
+  assert.equal(result.amount, 47);
+  assert.equal(result.currency, 'USD');
+  assert.equal(result.usd_amount, 47);
+  assert.equal(result.low_amount, null);
+  assert.equal(result.high_amount, null);
+});
+
+test('extracts rent from a Numbeo SERP snippet when no page was fetched', () => {
+  const perception = {
+    sources: {
+      page_evidence: [],
+      google_search: {
+        organic: [{
+          link: 'https://www.numbeo.com/cost-of-living/in/Lisbon',
+          display_link: 'www.numbeo.com',
+          description: 'Apartment (1 bedroom) in City Centre: 1,402.73 € · Monthly Pass (Regular Price): 40.00 €'
+        }]
+      }
+    }
+  };
+  const result = extractStructuredCost(perception, RENT_1BR, 'Portugal', CONFIG);
+  assert.equal(result.value_source, 'parser');
+  assert.equal(result.amount, 1402.73);
+  assert.equal(result.currency, 'EUR');
+  assert.equal(result.confidence, 85);
+});
+
+// A null result sends the category to the LLM (extractCandidate in agent.js)
+test('an unparseable page falls through to the LLM', () => {
+  const redesigned = buildPerception('numbeo-redesigned.html', 'numbeo.com', RENT_1BR);
+  assert.deepEqual(redesigned.sources.page_evidence[0].rows, []);
+  assert.equal(extractStructuredCost(redesigned, RENT_1BR, 'Portugal', CONFIG), null);
+
+  // Parsed page, but no row for the category
+  const noRow = buildPerception('numbeo-lisbon.html', 'numbeo.com', TRANSPORTATION);
+  noRow.sources.page_evidence[0].rows = noRow.sources.page_evidence[0].rows.filter(row => !/Monthly Pass/.test(row.item));
+  assert.equal(extractStructuredCost(noRow, TRANSPORTATION, 'Portugal', CONFIG), null);
+
+  // Categories without price labels always go to the LLM
+  assert.equal(extractStructuredCost(buildPerception('numbeo-lisbon.html', 'numbeo.com', GROCERIES), GROCERIES, 'Portugal', CONFIG), null);
+});
\ No newline at end of file
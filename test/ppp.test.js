@@ -0,0 +1,64 @@
+// PPP: price level ratios against the US for known countries, and what happens without data
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lookupPPP } = require('../ppp');
+const { calculatePPPAdjustedCosts } = require('../scoring');
+
+const CONFIG = { cacheDir: 'test/no-cache', ppp: { year: 2022 } };
+const COSTS = { rent_1br: 1000, groceries: 400 };
+
+test('price level ratios against the US', () => {
+  assert.equal(lookupPPP('United States', 2022).price_level_ratio, 1);
+  assert.equal(Math.round(lookupPPP('Indonesia', 2022).price_level_ratio * 100) / 100, 0.32);
+  assert.equal(Math.round(lookupPPP('DEU', 2022).price_level_ratio * 100) / 100, 0.77);
+  assert.equal(Math.round(lookupPPP('Switzerland', 2022).price_level_ratio * 100) / 100, 1.12);
+});
+
+test('a year without data falls back to the closest earlier one', () => {
+  const entry = lookupPPP('Germany', 2030);
+  assert.ok(entry.year <= 2030);
+  assert.equal(entry.requested_year, 2030);
+  assert.equal(lookupPPP('Germany', 1990), null);
+});
+
+test('US purchasing power equivalent for known countries', () => {
+  const indonesia = calculatePPPAdjustedCosts(COSTS, 'Indonesia', CONFIG);
+  assert.equal(indonesia.price_level_ratio, 0.316);
+  assert.equal(indonesia.us_equivalent_total, 4423);
+  assert.equal(indonesia.ppp_country_code, 'IDN');
+  assert.equal(indonesia.ppp_missing, false);
+
+  const germany = calculatePPPAdjustedCosts(COSTS, 'Germany', CONFIG);
+  assert.equal(germany.price_level_ratio, 0.768);
+  assert.equal(germany.us_equivalent_total, 1824);
+
+  // Pricier than the US: the same dollars buy less
+  const switzerland = calculatePPPAdjustedCosts(COSTS, 'Switzerland', CONFIG);
+  assert.equal(switzerland.price_level_ratio, 1.12);
+  assert.equal(switzerland.us_equivalent_total, 1250);
+
+  const us = calculatePPPAdjustedCosts(COSTS, 'United States', CONFIG);
+  assert.equal(us.us_equivalent_total, 1400);
+});
+
+test('the range is carried through to US prices', () => {
+  const ranges = { rent_1br: { low: 800, typical: 1000, high: 1200 }, groceries: { low: 300, typical: 400, high: 500 } };
+  const indonesia = calculatePPPAdjustedCosts(COSTS, 'Indonesia', CONFIG, ranges);
+  assert.deepEqual(indonesia.us_equivalent_range, { low: 3476, typical: 4423, high: 5371 });
+});
+
+test('a country without PPP data is flagged, not given a factor of 1.0', () => {
+  assert.equal(lookupPPP('Cuba', 2022), null);
+
+  const cuba = calculatePPPAdjustedCosts(COSTS, 'Cuba', CONFIG);
+  assert.equal(cuba.ppp_missing, true);
+  assert.equal(cuba.ppp_adjusted, null);
+  assert.equal(cuba.ppp_factor, null);
+  assert.equal(cuba.price_level_ratio, null);
+  assert.equal(cuba.ppp_country_code, 'CUB');
+  assert.equal(cuba.explanation, 'No PPP data for Cuba');
+
+  const unknown = calculatePPPAdjustedCosts(COSTS, 'Atlantis', CONFIG);
+  assert.equal(unknown.ppp_missing, true);
+  assert.equal(unknown.explanation, 'Unknown country: Atlantis');
+});
\ No newline at end of file
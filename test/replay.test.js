@@ -0,0 +1,55 @@
+// Golden replay: the recorded Lisbon run in test/fixtures/golden replays end to end, offline, to the same numbers.
+// Recorded with the mock search provider and a stand-in LLM; re-record it (node main.js test Lisbon --record <dir>)
+// when a change makes the replay ask for a fixture it doesn't have.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('../config');
+const { main, parseCliArgs, applyCliFlags } = require('../main');
+const { getMissingFixtures } = require('../fixtures');
+
+const GOLDEN_DIR = path.join(__dirname, 'fixtures', 'golden');
+
+test('the golden fixture set replays to the recorded results', async t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'golden-replay-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  applyCliFlags(parseCliArgs(['--replay', GOLDEN_DIR]).flags);
+  CONFIG.dataDir = dataDir;
+  assert.equal(CONFIG.referenceDate, '2026-10-19T04:37:03.418Z');
+
+  t.mock.method(console, 'log', () => {});
+  const { city_analyses: [lisbon], markdown_report: report, report_path: reportPath } = await main();
+  t.mock.restoreAll();
+
+  assert.deepEqual(getMissingFixtures(), []);
+  assert.equal(lisbon.city, 'Lisbon');
+  assert.deepEqual(
+    lisbon.cost_analysis.cost_categories.map(result => [result.category_key, result.usd_amount, Math.round(result.confidence), result.value_source]),
+    [
+      ['rent_1br', 1176, 87, 'parser'],
+      ['groceries', 381, 73, 'llm'],
+      ['transportation', 50, 94, 'parser'],
+      ['utilities', 157, 86, 'llm'],
+      ['internet', 34, 85, 'llm']
+    ]
+  );
+  assert.equal(lisbon.remote_work_score, 55);
+
+  // Aged against the recording's date, not today's. All three groceries candidates were stale; one error says so
+  const groceries = lisbon.cost_analysis.cost_categories.find(result => result.category_key === 'groceries');
+  assert.equal(groceries.freshness.age_years, 5.4);
+  assert.equal(groceries.freshness.stale, true);
+  assert.equal(lisbon.summary.errors_count, 1);
+
+  assert.match(report, /as of 2021-05, ⚠️ stale/);
+  assert.ok(fs.existsSync(reportPath));
+});
+
+test('--record takes a directory like --replay, and on its own records to the default one', () => {
+  assert.deepEqual(parseCliArgs(['1500', '--record', 'fixtures/golden']), { positional: ['1500'], flags: { record: 'fixtures/golden' } });
+  assert.deepEqual(parseCliArgs(['--record', '--fetch-pages']).flags, { record: true, 'fetch-pages': true });
+  assert.deepEqual(parseCliArgs(['test', 'Lisbon', '--record']), { positional: ['test', 'Lisbon'], flags: { record: true } });
+});
@@ -0,0 +1,31 @@
+// Budget fit by location tier
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getBudgetFit } = require('../reports');
+
+const BUDGET = 2000;
+
+test('fits in the center, or only outside it when the center was measured and is over', () => {
+  assert.equal(getBudgetFit(1800, { city_center: { typical_total: 1900, best_case_total: 1700 } }, BUDGET), 'city_center');
+  assert.equal(getBudgetFit(2100, {
+    city_center: { typical_total: 2400, best_case_total: 2200 },
+    outside_center: { typical_total: 1900, best_case_total: 1700 }
+  }, BUDGET), 'outside_center');
+});
+
+test('an outside-center tier alone says nothing about the center', () => {
+  assert.equal(getBudgetFit(1900, { outside_center: { typical_total: 1900, best_case_total: 1700 } }, BUDGET), 'within_budget');
+  assert.equal(getBudgetFit(2500, { outside_center: { typical_total: 2500, best_case_total: 2300 } }, BUDGET), 'over_budget');
+});
+
+test('only the cheapest neighborhoods fit', () => {
+  assert.equal(getBudgetFit(2300, {
+    city_center: { typical_total: 2600, best_case_total: 2300 },
+    outside_center: { typical_total: 2300, best_case_total: 1950 }
+  }, BUDGET), 'best_case_only');
+});
+
+test('without tier data it comes down to the total', () => {
+  assert.equal(getBudgetFit(1500, {}, BUDGET), 'within_budget');
+  assert.equal(getBudgetFit(2500, {}, BUDGET), 'over_budget');
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+// Remote work score: factor inputs, weighting, time-zone overlap on the run's date, and the config checks
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../config');
+const { getWorkingHoursOverlap, calculateRemoteWorkScore, validateScoringConfig } = require('../scoring');
+const { parseCliArgs, applyCliFlags } = require('../main');
+
+const CITY = { city: 'Lisbon', country: 'Portugal', country_code: 'PT', timezone: 'Europe/Lisbon' };
+
+function buildConfig(overrides = {}) {
+  return {
+    remoteWorkWeights: { cost_of_living: 0.5, coworking_cost: 0.5 },
+    scoringFactors: { targetTimezone: null, workingHours: { start: 9, end: 17 }, countryScores: {}, curves: {}, ...overrides }
+  };
+}
+
+const CATEGORIES = [
+  { name: 'rent_3br', scoring: [{ hook: 'cost_of_living' }] },
+  { name: 'groceries', scoring: [{ hook: 'cost_of_living' }] },
+  { name: 'utilities', scoring: [{ hook: 'cost_of_living' }] },
+  { name: 'coworking', scoring: [{ hook: 'coworking_cost' }] }
+];
+
+// Family of four: groceries ×4, utilities ×1.8, two coworking desks
+const FAMILY_ANALYSIS = {
+  cost_analysis: {
+    cost_categories: [
+      { category_key: 'rent_3br', usd_amount: 1500, quantity: 1, multiplier: 1, household_usd_amount: 1500 },
+      { category_key: 'groceries', usd_amount: 300, quantity: 4, multiplier: 1, household_usd_amount: 1200 },
+      { category_key: 'utilities', usd_amount: 100, quantity: 1, multiplier: 1.8, household_usd_amount: 180 },
+      { category_key: 'coworking', usd_amount: 150, quantity: 2, multiplier: 1, household_usd_amount: 300 }
+    ]
+  }
+};
+
+test('cost factors use household amounts, matching the report totals', () => {
+  const { factors } = calculateRemoteWorkScore(FAMILY_ANALYSIS, CATEGORIES, CITY, buildConfig());
+  const costOfLiving = factors.find(factor => factor.factor === 'cost_of_living');
+  assert.equal(costOfLiving.value, 2880);
+  assert.equal(costOfLiving.score, 5); // inverse curve, $500-$3,000
+  assert.equal(factors.find(factor => factor.factor === 'coworking_cost').value, 300);
+});
+
+test('results from before household quantities fall back to the per-unit amount', () => {
+  const analysis = { cost_analysis: { cost_categories: [{ category_key: 'rent_3br', usd_amount: 1500 }] } };
+  const { factors } = calculateRemoteWorkScore(analysis, CATEGORIES, CITY, buildConfig());
+  assert.equal(factors.find(factor => factor.factor === 'cost_of_living').value, 1500);
+});
+
+test('curve overrides need numeric min < max', () => {
+  assert.deepEqual(validateScoringConfig(buildConfig({ curves: { cost_of_living: { min: 800, max: 4000 } } })), []);
+  assert.deepEqual(validateScoringConfig(buildConfig({ curves: { fiber_availability: { type: 'boolean' } } })), []);
+
+  const equal = validateScoringConfig(buildConfig({ curves: { cost_of_living: { min: 2000, max: 2000 } } }));
+  assert.equal(equal.length, 1);
+  assert.match(equal[0], /cost_of_living needs numeric min < max/);
+
+  // A lone min above the default max ($3,000)
+  assert.equal(validateScoringConfig(buildConfig({ curves: { cost_of_living: { min: 5000 } } })).length, 1);
+  assert.equal(validateScoringConfig(buildConfig({ curves: { safety: { max: '100' } } })).length, 1);
+  assert.equal(validateScoringConfig(buildConfig({ curves: { internet_quality: { min: 0 } } })).length, 1);
+  // Switching a boolean factor to a numeric curve needs a range
+  assert.equal(validateScoringConfig(buildConfig({ curves: { fiber_availability: { type: 'linear' } } })).length, 1);
+});
+test('working-hours overlap follows DST on the given date', () => {
+  const workingHours = { start: 9, end: 17 };
+  // The US moves its clocks three weeks before the UK: 5 hours apart in January, 4 in mid-March
+  assert.equal(getWorkingHoursOverlap('Europe/London', 'America/New_York', workingHours, new Date(Date.UTC(2026, 0, 15))), 3);
+  assert.equal(getWorkingHoursOverlap('Europe/London', 'America/New_York', workingHours, new Date(Date.UTC(2026, 2, 20))), 4);
+});
+
+test('the time-zone factor is scored on the agent\'s reference date', () => {
+  const config = { ...buildConfig({ targetTimezone: 'America/New_York' }), remoteWorkWeights: { timezone_overlap: 1 } };
+  const london = { city: 'London', country: 'United Kingdom', country_code: 'GB', timezone: 'Europe/London' };
+  const score = referenceDate =>
+    calculateRemoteWorkScore(FAMILY_ANALYSIS, CATEGORIES, { ...london, reference_date: referenceDate }, config).factors[0];
+
+  assert.equal(score('2026-01-15T12:00:00.000Z').value, 3);
+  assert.equal(score('2026-03-20T12:00:00.000Z').value, 4);
+  assert.equal(score('2026-03-20T12:00:00.000Z').score, 50);
+});
+
+test('--weights overrides the configured weights for the run', () => {
+  const configured = { ...CONFIG.remoteWorkWeights };
+  applyCliFlags(parseCliArgs(['--weights', 'cost_of_living=0.9,safety=0']).flags);
+
+  assert.equal(CONFIG.remoteWorkWeights.cost_of_living, 0.9);
+  assert.equal(CONFIG.remoteWorkWeights.safety, 0);
+  assert.equal(CONFIG.remoteWorkWeights.internet_quality, configured.internet_quality);
+  assert.deepEqual(validateScoringConfig(CONFIG), []);
+
+  // A zero weight drops the factor; the rest are shared out by the new weights
+  const { factors } = calculateRemoteWorkScore(FAMILY_ANALYSIS, CATEGORIES, CITY, CONFIG);
+  assert.equal(factors.find(factor => factor.factor === 'safety'), undefined);
+  const costOfLiving = factors.find(factor => factor.factor === 'cost_of_living');
+  assert.equal(costOfLiving.weight, 0.9);
+});
@@ -0,0 +1,28 @@
+// Source reliability: matching a cited source name to the domains that were searched
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assessCitedSource } = require('../sources');
+
+const RELIABILITY = {
+  domains: [
+    { domain: 'en.wikipedia.org', trust: 0.6 },
+    { domain: 'numbeo.com', trust: 0.9 },
+    { domain: 'bbc.co.uk', trust: 0.7 }
+  ]
+};
+
+test('a cited name matches the registrable domain\'s main label', () => {
+  assert.equal(assessCitedSource('Wikipedia', RELIABILITY, {}).domain, 'en.wikipedia.org');
+  assert.equal(assessCitedSource('Numbeo (Lisbon, 2026)', RELIABILITY, {}).domain, 'numbeo.com');
+  assert.equal(assessCitedSource('BBC News', RELIABILITY, {}).domain, 'bbc.co.uk');
+});
+
+test('a subdomain label is not a source name', () => {
+  // "en" is Spanish/French for "in", not Wikipedia
+  assert.equal(assessCitedSource('Precios de alquiler en Lisboa', RELIABILITY, {}), null);
+  assert.equal(assessCitedSource('Le coût de la vie en Portugal', RELIABILITY, {}), null);
+});
+
+test('a cited URL matches its searched domain', () => {
+  assert.equal(assessCitedSource('https://www.numbeo.com/cost-of-living/in/Lisbon', RELIABILITY, {}).domain, 'numbeo.com');
+});
\ No newline at end of file
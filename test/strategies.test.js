@@ -0,0 +1,76 @@
+// Strategy registry: invalid definitions are rejected at load time, and a plugin's priority outranks the built-ins
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('../config');
+const { loadSearchStrategies, selectStrategy } = require('../strategies');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'strategy-plugins-'));
+const PLUGIN_PATH = path.join(dir, 'ine-portugal.js');
+fs.writeFileSync(PLUGIN_PATH, `module.exports = {
+  name: 'ine_portugal',
+  queryTemplate: '{category} preço médio {city}',
+  sites: ['ine.pt'],
+  priority: 80,
+  appliesTo: { countries: ['PT'] }
+};
+`);
+
+// The registry is loaded once per run from CONFIG, so the plugin goes in before the first selectStrategy
+CONFIG.strategyPlugins = [PLUGIN_PATH];
+CONFIG.strategyMemory = { ...CONFIG.strategyMemory, enabled: false };
+
+function buildContext(city, country, countryCode) {
+  return {
+    city,
+    country,
+    country_code: countryCode,
+    memory: { failed_strategies_by_category: {}, successful_strategies_by_category: {} }
+  };
+}
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('an invalid strategy is left out of the registry with its errors', () => {
+  const { strategies, errors } = loadSearchStrategies({
+    ...CONFIG,
+    strategyPlugins: [],
+    strategies: [{ name: 'idealista', queryTemplate: '{town} rent', confidenceModifier: 5, priority: 150 }]
+  });
+
+  assert.equal(strategies.idealista, undefined);
+  assert.deepEqual(errors, [
+    'idealista: unknown placeholder {town} in queryTemplate (use {city}, {country}, {category}, {category_name})',
+    'idealista: confidenceModifier must be a number above 0 and at most 2',
+    'idealista: priority must be a number from 0 to 100'
+  ]);
+});
+
+test('a strategy cannot replace a built-in of the same name', () => {
+  const { strategies, errors } = loadSearchStrategies({
+    ...CONFIG,
+    strategyPlugins: [],
+    strategies: [{ name: 'multi_source', queryTemplate: '{category} {city}', priority: 100 }]
+  });
+
+  assert.equal(strategies.multi_source.priority, 70);
+  assert.deepEqual(errors, ['multi_source: a strategy named multi_source already exists']);
+});
+
+test('a plugin loads with its declared priority', () => {
+  const { strategies, errors } = loadSearchStrategies(CONFIG);
+
+  assert.deepEqual(errors, []);
+  assert.equal(strategies.ine_portugal.priority, 80);
+  assert.equal(strategies.ine_portugal.origin, PLUGIN_PATH);
+  assert.equal(strategies.ine_portugal.buildQuery('Lisbon', 'Portugal', { displayName: 'Rent' }), 'Rent preço médio Lisbon site:ine.pt');
+});
+
+test('a higher-priority plugin is tried before the built-ins where it applies', () => {
+  const category = { name: 'rent_1br' };
+
+  assert.equal(selectStrategy(buildContext('Lisbon', 'Portugal', 'PT'), category).name, 'ine_portugal');
+  assert.equal(selectStrategy(buildContext('Tbilisi', 'Georgia', 'GE'), category).name, 'multi_source');
+});
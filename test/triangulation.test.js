@@ -0,0 +1,37 @@
+// Triangulation: candidates kept or rejected, and what the single-source path reports
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { triangulateCandidates } = require('../triangulation');
+
+const CONFIG = {
+  triangulation: { method: 'weighted_median', trimFraction: 0.2, outlierRatio: 2, maxDispersion: 0.5, agreementWeight: 0.5 }
+};
+
+function candidate(strategy, usdAmount, confidence) {
+  return { strategy_used: strategy, amount: usdAmount, currency: 'USD', usd_amount: usdAmount, confidence, confidence_modifier: 1 };
+}
+
+test('one usable candidate is kept, the rest rejected as unusable', () => {
+  const result = triangulateCandidates([candidate('multi_source', 1200, 80), candidate('numbeo_focused', null, 90)], CONFIG);
+  assert.equal(result.usd_amount, 1200);
+  assert.equal(result.triangulation.kept, 1);
+  assert.deepEqual(result.triangulation.candidates.map(c => c.rejected), [false, true]);
+});
+
+test('without any usable value no candidate is shown as kept', () => {
+  const result = triangulateCandidates([candidate('multi_source', null, 40), candidate('numbeo_focused', 0, 60)], CONFIG);
+  assert.equal(result.triangulation.method, 'single_source');
+  assert.equal(result.triangulation.kept, 0);
+  assert.equal(result.triangulation.rejected, 2);
+  assert.ok(result.triangulation.candidates.every(c => c.rejected && c.rejection_reason === 'no usable value'));
+});
+
+test('an outlier is rejected once there are three candidates', () => {
+  const result = triangulateCandidates([
+    candidate('multi_source', 1000, 80),
+    candidate('numbeo_focused', 1100, 80),
+    candidate('expatistan_focused', 4000, 80)
+  ], CONFIG);
+  assert.equal(result.triangulation.kept, 2);
+  assert.match(result.triangulation.candidates[2].rejection_reason, /^outlier/);
+});
\ No newline at end of file
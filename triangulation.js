@@ -0,0 +1,152 @@
+// Multi-source triangulation - reconciles the candidate values found for one category by several
+// strategies/sources into a single result:
+// 1. each candidate is weighted by its strategy's confidence_modifier × its cited source's trust factor
+//    × its age factor × the model's (or parser's) own confidence
+// 2. outliers (more than outlierRatio× away from the weighted median) are rejected, when there are 3+ candidates
+// 3. the value is the weighted median (or a weighted trimmed mean) of what's left
+// 4. confidence blends the candidates' own confidence with how closely the kept candidates agree
+// Every candidate, kept or rejected, stays on the result under `triangulation` with its source link.
+
+// Weighted median of [{ value, weight }]: the first value where the cumulative weight reaches half the total
+function weightedMedian(points) {
+  const sorted = [...points].sort((a, b) => a.value - b.value);
+  const totalWeight = sorted.reduce((sum, point) => sum + point.weight, 0);
+  let cumulative = 0;
+  for (const point of sorted) {
+    cumulative += point.weight;
+    if (cumulative >= totalWeight / 2) {
+      return point.value;
+    }
+  }
+  return sorted[sorted.length - 1].value;
+}
+
+// Weighted mean after dropping trimFraction of the points from each end
+function weightedTrimmedMean(points, trimFraction) {
+  const sorted = [...points].sort((a, b) => a.value - b.value);
+  const trim = Math.floor(sorted.length * trimFraction);
+  const kept = sorted.slice(trim, sorted.length - trim);
+  const totalWeight = kept.reduce((sum, point) => sum + point.weight, 0);
+  return kept.reduce((sum, point) => sum + point.value * point.weight, 0) / totalWeight;
+}
+
+const AGGREGATES = {
+  weighted_median: (points) => weightedMedian(points),
+  trimmed_mean: (points, config) => weightedTrimmedMean(points, config.trimFraction)
+};
+
+// 1 when the kept candidates agree exactly, 0 when their weighted mean deviation from the value reaches maxDispersion
+function calculateAgreement(points, value, config) {
+  const totalWeight = points.reduce((sum, point) => sum + point.weight, 0);
+  const dispersion = points.reduce((sum, point) => sum + point.weight * Math.abs(point.value - value) / value, 0) / totalWeight;
+  return Math.max(0, 1 - dispersion / config.maxDispersion);
+}
+
+function summarizeCandidate(result) {
+  return {
+    source: result.source,
+    strategy: result.strategy_used,
+    query_source: result.query_source || 'strategy',
+    data_source: result.data_source || null,
+    source_domain: result.source_reliability?.domain || null,
+    confidence_modifier: result.confidence_modifier,
+    amount: result.amount,
+    currency: result.currency,
+    usd_amount: result.usd_amount,
+    confidence: result.confidence,
+    as_of: result.freshness?.as_of || null,
+    value_source: result.value_source,
+    context: result.context || null
+  };
+}
+
+// candidateResults: extracted + USD-converted results for one category, each with strategy_used, confidence_modifier,
+// source_reliability, freshness, extracted_confidence (as the model/parser gave it) and confidence (scaled by all three).
+// Returns one result.
+function triangulateCandidates(candidateResults, config) {
+  const triangulationConfig = config.triangulation;
+  const usable = candidateResults.filter(result => result.usd_amount > 0);
+
+  // Nothing to reconcile: hand back the best single candidate as-is. Without any usable value it's still the result
+  // (so the category shows as missing), but it isn't a kept candidate
+  if (usable.length < 2) {
+    const best = usable[0] || [...candidateResults].sort((a, b) => b.confidence - a.confidence)[0];
+    best.triangulation = {
+      method: 'single_source',
+      candidates: candidateResults.map(result => {
+        const rejected = result !== best || usable.length === 0;
+        return {
+          ...summarizeCandidate(result),
+          weight: null,
+          rejected: rejected,
+          rejection_reason: rejected ? 'no usable value' : null
+        };
+      }),
+      kept: usable.length,
+      rejected: candidateResults.length - usable.length,
+      agreement: null,
+      model_confidence: best.confidence
+    };
+    return best;
+  }
+
+  const points = usable.map(result => ({
+    result,
+    value: result.usd_amount,
+    weight: Math.max(0.01, (result.confidence_modifier || 1) * (result.source_reliability?.confidence_factor || 1) *
+      (result.freshness?.factor || 1) * (result.extracted_confidence ?? result.confidence ?? 0) / 100)
+  }));
+
+  // Outlier rejection needs a majority to compare against; with two candidates there's no telling which one is off
+  const median = weightedMedian(points);
+  const isOutlier = point => points.length >= 3 &&
+    (point.value > median * triangulationConfig.outlierRatio || point.value < median / triangulationConfig.outlierRatio);
+  const kept = points.filter(point => !isOutlier(point));
+
+  const aggregate = AGGREGATES[triangulationConfig.method] || AGGREGATES.weighted_median;
+  const value = Math.round(aggregate(kept, triangulationConfig) * 100) / 100;
+  const agreement = kept.length >= 2 ? calculateAgreement(kept, value, triangulationConfig) : 0;
+
+  // Candidates' own confidence (weighted), blended with agreement. Agreement counts for more with more sources.
+  const keptWeight = kept.reduce((sum, point) => sum + point.weight, 0);
+  const modelConfidence = kept.reduce((sum, point) => sum + point.result.confidence * point.weight, 0) / keptWeight;
+  const agreementWeight = triangulationConfig.agreementWeight * Math.min(1, (kept.length - 1) / 2);
+  const confidence = Math.round(Math.min(100, (1 - agreementWeight) * modelConfidence + agreementWeight * agreement * 100));
+
+  // The result is built on the kept candidate closest to the value, so it keeps that candidate's extra fields
+  const closest = [...kept].sort((a, b) => Math.abs(a.value - value) - Math.abs(b.value - value))[0].result;
+  const localPerUSD = closest.amount > 0 ? closest.amount / closest.usd_amount : null;
+
+  return {
+    ...closest,
+    amount: localPerUSD ? Math.round(value * localPerUSD * 100) / 100 : closest.amount,
+    usd_amount: value,
+    confidence: confidence,
+    notes: [closest.notes, `Triangulated from ${kept.length} of ${candidateResults.length} sources`].filter(Boolean).join('. '),
+    triangulation: {
+      method: triangulationConfig.method,
+      candidates: candidateResults.map(result => {
+        const point = points.find(p => p.result === result);
+        const rejected = !point || !kept.includes(point);
+        return {
+          ...summarizeCandidate(result),
+          weight: point ? Math.round(point.weight * 1000) / 1000 : null,
+          rejected: rejected,
+          rejection_reason: !point ? 'no usable value' :
+                            rejected ? `outlier: more than ${triangulationConfig.outlierRatio}x from the median ($${median})` :
+                            null
+        };
+      }),
+      kept: kept.length,
+      rejected: candidateResults.length - kept.length,
+      agreement: Math.round(agreement * 100) / 100,
+      model_confidence: Math.round(modelConfidence)
+    }
+  };
+}
+
+module.exports = {
+  weightedMedian,
+  weightedTrimmedMean,
+  triangulateCandidates
+};
\ No newline at end of file
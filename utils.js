@@ -24,6 +24,26 @@ function saveMarkdownReport(content, dataDir = 'data') {
   }
 }
 
+// Save a single agent's full context (perception, reasoning, memory, errors) as JSON for debugging
+function saveAgentContext(context, dataDir = 'data') {
+  try {
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const cityIdentifier = `${context.city}_${context.country}`.toLowerCase().replace(/[^a-z0-9]/g, '_');
+    const filename = `${timestamp}_${cityIdentifier}_agent_context.json`;
+    const filepath = path.join(dataDir, filename);
+
+    fs.writeFileSync(filepath, JSON.stringify(context, null, 2), 'utf8');
+    return filepath;
+  } catch (error) {
+    console.error(`❌ Failed to save agent context: ${error.message}`);
+    return null;
+  }
+}
+
 // Convert agent context to analysis format for reports
 function contextToAnalysis(context) {
   if (!context.reasoning) {
@@ -54,5 +74,6 @@ function contextToAnalysis(context) {
 module.exports = {
   delay,
   saveMarkdownReport,
+  saveAgentContext,
   contextToAnalysis
 }; 
\ No newline at end of file
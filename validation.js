@@ -0,0 +1,87 @@
+// Sanity checks for extracted costs, run in reason() before anything reaches the totals:
+// - plausible range: each category's plausibleRange (USD/month at US prices) scaled by the country's price level,
+//   so a $4,000 transit pass or rent quoted as a daily rate gets caught
+// - cross-category ratios: config.validation.ratios, e.g. utilities should be well below rent
+// A failing result is re-extracted once with a corrective prompt (agent.js); if that fails too it's rejected.
+const { lookupPPP } = require('./ppp');
+const { findCategoryResult } = require('./categories');
+
+// Plausible bounds are given at US prices; scale them to the country (no scaling without PPP data)
+function getPriceLevelRatio(country, config) {
+  return lookupPPP(country, config.ppp.year)?.price_level_ratio || 1;
+}
+
+function getPlausibleRange(category, priceLevelRatio) {
+  if (!category.plausibleRange) {
+    return null;
+  }
+  return {
+    min: Math.round(category.plausibleRange.min * priceLevelRatio * 100) / 100,
+    max: Math.round(category.plausibleRange.max * priceLevelRatio * 100) / 100
+  };
+}
+
+// Returns an array of issues ({ type, message, expected }) - empty when the amount is plausible or missing
+function checkPlausibleRange(result, category, priceLevelRatio) {
+  const range = getPlausibleRange(category, priceLevelRatio);
+  if (!range || !result.usd_amount) {
+    return [];
+  }
+  if (result.usd_amount >= range.min && result.usd_amount <= range.max) {
+    return [];
+  }
+
+  const direction = result.usd_amount < range.min ? 'below' : 'above';
+  return [{
+    type: 'plausible_range',
+    message: `$${result.usd_amount} is ${direction} the plausible range for ${category.displayName} ($${range.min}-$${range.max}/month at this price level)`,
+    expected: range
+  }];
+}
+
+// Cross-category checks for one category: each configured ratio with this category as the numerator.
+// `results` is every category's result; a ratio whose reference category has no amount is skipped.
+function checkCategoryRatios(result, category, results, categories, config) {
+  if (!result.usd_amount) {
+    return [];
+  }
+
+  return config.validation.ratios
+    .filter(rule => rule.category === category.name)
+    .map(rule => {
+      const referenceCategory = categories.find(c => c.name === rule.reference);
+      const reference = referenceCategory && findCategoryResult(results, referenceCategory);
+      if (!reference || !reference.usd_amount) {
+        return null;
+      }
+
+      const ratio = result.usd_amount / reference.usd_amount;
+      if ((rule.max === undefined || ratio <= rule.max) && (rule.min === undefined || ratio >= rule.min)) {
+        return null;
+      }
+      return {
+        type: 'category_ratio',
+        message: `${category.displayName} ($${result.usd_amount}) is ${Math.round(ratio * 100)}% of ${referenceCategory.displayName} ($${reference.usd_amount}): ${rule.description}`,
+        expected: { reference: rule.reference, min: rule.min ?? null, max: rule.max ?? null }
+      };
+    })
+    .filter(Boolean);
+}
+
+// Extra prompt section for the corrective re-extraction
+function buildCorrectionPrompt(result, issues) {
+  return `A previous extraction for this category returned ${result.amount} ${result.currency || ''} ($${result.usd_amount}/month), which failed these checks:
+${issues.map(issue => `- ${issue.message}`).join('\n')}
+
+Re-read the sources and extract the MONTHLY cost again. Common mistakes: a daily, weekly or yearly figure instead of
+a monthly one, the wrong currency, a different item (e.g. buying instead of renting), or a figure for a whole
+family or building. If the sources really do support the previous figure, return it again with notes explaining why.`;
+}
+
+module.exports = {
+  getPriceLevelRatio,
+  getPlausibleRange,
+  checkPlausibleRange,
+  checkCategoryRatios,
+  buildCorrectionPrompt
+};
\ No newline at end of file